@@ -21,6 +21,7 @@ const argv = yargs(hideBin(process.argv))
   .option("wav-container", { type: "boolean", default: false, describe: "Send full WAV container bytes (do not strip header)" })
   .option("auth", { type: "string", describe: "Authorization bearer token (sent as metadata authorization: Bearer <token>)" })
   .option("md", { type: "array", describe: "Additional metadata key=value (repeatable)", default: [] })
+  .option("binary-frames", { type: "boolean", default: false, describe: "Send audio chunks as binary WebSocket frames instead of base64 JSON" })
   .help()
   .alias("h", "help")
   .parse();
@@ -35,6 +36,14 @@ function connect(url) {
 
 function send(ws, msg) { ws.send(JSON.stringify(msg)); }
 
+// Binary frame: [uint32 BE header length][header JSON][raw bytes for header.field]
+function sendBinary(ws, header, bytes) {
+  const headerBuf = Buffer.from(JSON.stringify(header), "utf8");
+  const lenBuf = Buffer.alloc(4);
+  lenBuf.writeUInt32BE(headerBuf.length, 0);
+  ws.send(Buffer.concat([lenBuf, headerBuf, bytes]), { binary: true });
+}
+
 function onceByType(ws, type, callId) {
   return new Promise((resolve) => {
     function handler(data) {
@@ -149,8 +158,8 @@ async function runUnary(ws, opts) {
     method: "nvidia.riva.asr.RivaSpeechRecognition/Recognize",
     target,
     metadata: parseMetadata(argv),
-    binaryAsBase64: true,
-    binaryFields: ["audio"],
+    // field names as in riva_asr.proto (snake_case), both ways
+    serialization: { keepCase: true },
     payload: {
       config,
       audio: audioBytes.toString("base64"),
@@ -196,8 +205,8 @@ async function runStreaming(ws, opts) {
     method: "nvidia.riva.asr.RivaSpeechRecognition/StreamingRecognize",
     target,
     metadata: parseMetadata(argv),
-    binaryAsBase64: true,
-    binaryFields: ["audio_content"],
+    // field names as in riva_asr.proto (snake_case), both ways
+    serialization: { keepCase: true },
   });
 
   // Send initial config message
@@ -216,11 +225,15 @@ async function runStreaming(ws, opts) {
   for (let off = 0; off < bytesToSend.length; off += chunk) {
     const end = Math.min(off + chunk, pcm.length);
     const slice = bytesToSend.subarray(off, end);
-    send(ws, {
-      type: "write",
-      callId,
-      payload: { audio_content: slice.toString('base64') }
-    });
+    if (argv["binary-frames"]) {
+      sendBinary(ws, { type: "write", callId, field: "audio_content" }, slice);
+    } else {
+      send(ws, {
+        type: "write",
+        callId,
+        payload: { audio_content: slice.toString('base64') }
+      });
+    }
     // Pace roughly in realtime for 16k16bit mono: 32kB/sec -> delay ~ slice.length / 32000 sec
     const delayMs = Math.round((slice.length / 32000) * 1000);
     if (delayMs > 0) await sleep(Math.min(delayMs, 100));
@@ -0,0 +1,83 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { loadJwtKeys, verifyJwt } = require("./jwt");
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+/**
+ * API keys file: JSON array of keys, or JSON object { "<key>": { ...claims } }.
+ * Keys are held as sha256 digests so lookups don't compare raw secrets.
+ */
+function loadApiKeys(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const keys = new Map();
+  if (Array.isArray(data)) {
+    data.forEach((k, i) => keys.set(sha256(k), { sub: `api-key-${i}` }));
+  } else {
+    for (const [k, claims] of Object.entries(data)) keys.set(sha256(k), { ...claims });
+  }
+  return keys;
+}
+
+/** Pull credentials from the upgrade request (headers, or query for browsers) */
+function extractCredentials(req) {
+  const url = new URL(req.url || "/", "http://localhost");
+  const authz = req.headers["authorization"] || "";
+  const bearer = /^Bearer\s+(.+)$/i.exec(authz);
+  return {
+    apiKey: req.headers["x-api-key"] || url.searchParams.get("api_key") || null,
+    token: (bearer && bearer[1].trim()) || url.searchParams.get("access_token") || null,
+  };
+}
+
+/**
+ * Build the upgrade-time authenticator.
+ *
+ * options:
+ *   apiKeysFile, jwtSecretFile, jwtPublicKeyFile, jwksFile, jwtIssuer, jwtAudience,
+ *   verifier  path of a module exporting `verify(req, credentials)` (async,
+ *             returns claims or null) and optionally `authorize(identity, call)`
+ *
+ * `authenticate(req)` resolves to an identity { method, subject, claims }, or
+ * null when authentication is enabled and nothing accepted the request.
+ */
+function createAuthenticator(options = {}) {
+  const apiKeys = options.apiKeysFile ? loadApiKeys(options.apiKeysFile) : null;
+  const jwtEnabled = !!(options.jwtSecretFile || options.jwtPublicKeyFile || options.jwksFile);
+  const jwtKeys = jwtEnabled
+    ? loadJwtKeys({ secretFile: options.jwtSecretFile, publicKeyFile: options.jwtPublicKeyFile, jwksFile: options.jwksFile })
+    : null;
+  const hook = options.verifier ? require(path.resolve(options.verifier)) : null;
+  const verify = hook && (typeof hook === "function" ? hook : hook.verify);
+  const authorize = hook && typeof hook.authorize === "function" ? hook.authorize : null;
+  const enabled = !!(apiKeys || jwtKeys || verify);
+
+  async function authenticate(req) {
+    if (!enabled) return { method: "none", subject: null, claims: {} };
+    const creds = extractCredentials(req);
+    if (apiKeys && creds.apiKey) {
+      const claims = apiKeys.get(sha256(creds.apiKey));
+      if (claims) return { method: "api-key", subject: claims.sub || null, claims };
+    }
+    if (jwtKeys && creds.token) {
+      try {
+        const claims = verifyJwt(creds.token, jwtKeys, { issuer: options.jwtIssuer, audience: options.jwtAudience });
+        return { method: "jwt", subject: claims.sub || null, claims };
+      } catch (_) { /* fall through to other methods */ }
+    }
+    if (verify) {
+      const claims = await verify(req, creds);
+      if (claims) return { method: "custom", subject: claims.sub || null, claims };
+    }
+    return null;
+  }
+
+  return { enabled, authenticate, authorize };
+}
+
+module.exports = { createAuthenticator };
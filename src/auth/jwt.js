@@ -0,0 +1,89 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const HASHES = { 256: "sha256", 384: "sha384", 512: "sha512" };
+
+function base64urlJson(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+/**
+ * Load verification keys.
+ *   secretFile    HMAC secret (HS256/384/512), raw file contents
+ *   publicKeyFile PEM public key (RS*, PS*, ES*)
+ *   jwksFile      JSON Web Key Set ({ keys: [...] }) with public keys
+ * Returns { secret, keys: [{ kid, key: KeyObject }] }
+ */
+function loadJwtKeys({ secretFile, publicKeyFile, jwksFile } = {}) {
+  const out = { secret: null, keys: [] };
+  if (secretFile) out.secret = fs.readFileSync(secretFile);
+  if (publicKeyFile) out.keys.push({ kid: null, key: crypto.createPublicKey(fs.readFileSync(publicKeyFile)) });
+  if (jwksFile) {
+    const jwks = JSON.parse(fs.readFileSync(jwksFile, "utf8"));
+    for (const jwk of jwks.keys || []) {
+      out.keys.push({ kid: jwk.kid || null, key: crypto.createPublicKey({ key: jwk, format: "jwk" }) });
+    }
+  }
+  return out;
+}
+
+function verifySignature(alg, data, sig, keys, kid) {
+  const family = alg.slice(0, 2);
+  const hash = HASHES[alg.slice(2)];
+  if (!hash) return false;
+  if (family === "HS") {
+    if (!keys.secret) return false;
+    const expected = crypto.createHmac(hash, keys.secret).update(data).digest();
+    return expected.length === sig.length && crypto.timingSafeEqual(expected, sig);
+  }
+  if (family !== "RS" && family !== "PS" && family !== "ES") return false;
+  const candidates = keys.keys.filter((k) => !kid || !k.kid || k.kid === kid);
+  for (const { key } of candidates) {
+    const opts = { key };
+    if (family === "PS") {
+      opts.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+      opts.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+    }
+    if (family === "ES") opts.dsaEncoding = "ieee-p1363";
+    try {
+      if (crypto.verify(hash, data, opts, sig)) return true;
+    } catch (_) { /* key type does not match alg */ }
+  }
+  return false;
+}
+
+/**
+ * Verify a compact JWT and return its claims. Throws on any failure.
+ * options: { issuer, audience, clockToleranceSec }
+ */
+function verifyJwt(token, keys, options = {}) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw new Error("Malformed JWT");
+  let header;
+  let claims;
+  try {
+    header = base64urlJson(parts[0]);
+    claims = base64urlJson(parts[1]);
+  } catch (_) {
+    throw new Error("Malformed JWT");
+  }
+  if (!header || typeof header.alg !== "string" || header.alg === "none") throw new Error("Unsupported JWT alg");
+  const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const sig = Buffer.from(parts[2], "base64url");
+  if (!verifySignature(header.alg, data, sig, keys, header.kid)) throw new Error("Invalid JWT signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockToleranceSec != null ? options.clockToleranceSec : 30;
+  if (typeof claims.exp === "number" && now - tolerance >= claims.exp) throw new Error("JWT expired");
+  if (typeof claims.nbf === "number" && now + tolerance < claims.nbf) throw new Error("JWT not yet valid");
+  if (options.issuer && claims.iss !== options.issuer) throw new Error("JWT issuer mismatch");
+  if (options.audience) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(options.audience)) throw new Error("JWT audience mismatch");
+  }
+  return claims;
+}
+
+module.exports = { loadJwtKeys, verifyJwt };
@@ -0,0 +1,38 @@
+"use strict";
+
+/**
+ * Envelope encodings for the client (see src/utils/codecs.js), offered as
+ * WebSocket subprotocols. The MessagePack/CBOR packages are only loaded
+ * when the encoding is used, so JSON-only bundles do without them.
+ */
+
+const PROTOCOL_PREFIX = "grpc-ws.";
+
+function msgpackCodec() {
+  const msgpack = require("@msgpack/msgpack");
+  return {
+    encode: (msg) => msgpack.encode(msg, { ignoreUndefined: true }),
+    decode: (data) => msgpack.decode(data),
+  };
+}
+
+function cborCodec() {
+  const { Encoder } = require("cbor-x");
+  const cbor = new Encoder({ useRecords: false, tagUint8Array: false, mapsAsObjects: true });
+  return {
+    encode: (msg) => cbor.encode(msg),
+    decode: (data) => cbor.decode(new Uint8Array(data)),
+  };
+}
+
+const FACTORIES = { msgpack: msgpackCodec, cbor: cborCodec };
+
+/** Codec for `encoding` ("msgpack" | "cbor"), or null for JSON */
+function createCodec(encoding) {
+  if (encoding == null || encoding === "json") return null;
+  const factory = FACTORIES[encoding];
+  if (!factory) throw new TypeError(`Unknown encoding: ${encoding}`);
+  return { protocol: PROTOCOL_PREFIX + encoding, ...factory() };
+}
+
+module.exports = { createCodec };
@@ -0,0 +1,51 @@
+"use strict";
+
+// gRPC status codes; kept local so the client has no server-side dependencies
+const Status = Object.freeze({
+  OK: 0,
+  CANCELLED: 1,
+  UNKNOWN: 2,
+  INVALID_ARGUMENT: 3,
+  DEADLINE_EXCEEDED: 4,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7,
+  RESOURCE_EXHAUSTED: 8,
+  FAILED_PRECONDITION: 9,
+  ABORTED: 10,
+  OUT_OF_RANGE: 11,
+  UNIMPLEMENTED: 12,
+  INTERNAL: 13,
+  UNAVAILABLE: 14,
+  DATA_LOSS: 15,
+  UNAUTHENTICATED: 16,
+});
+
+const STATUS_NAMES = Object.fromEntries(Object.entries(Status).map(([name, code]) => [code, name]));
+
+/**
+ * A call that ended with a non-OK status.
+ *   code      numeric gRPC status
+ *   codeName  e.g. "DEADLINE_EXCEEDED"
+ *   details   status details from the server (or the bridge)
+ *   metadata  trailers, when the server sent any
+ */
+class BridgeError extends Error {
+  constructor(code, details, metadata = {}) {
+    const codeName = STATUS_NAMES[code] || "UNKNOWN";
+    super(`${codeName}: ${details || ""}`);
+    this.name = "BridgeError";
+    this.code = code;
+    this.codeName = codeName;
+    this.details = details || "";
+    this.metadata = metadata || {};
+  }
+
+  /** From a bridge `status` or `error` object ({ code, details, metadata }) */
+  static from(status) {
+    const code = status && Number.isInteger(status.code) ? status.code : Status.UNKNOWN;
+    return new BridgeError(code, status && status.details, status && status.metadata);
+  }
+}
+
+module.exports = { Status, STATUS_NAMES, BridgeError };
@@ -0,0 +1,96 @@
+"use strict";
+
+/**
+ * Binary frame codec for the client (same layout as src/utils/frames.js) on
+ * plain Uint8Array / DataView / TextEncoder, so it runs in browsers too.
+ */
+
+const HEADER_LEN_BYTES = 4;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function isBytes(v) {
+  return v instanceof Uint8Array;
+}
+
+function hasBytes(v) {
+  if (isBytes(v)) return true;
+  if (Array.isArray(v)) return v.some(hasBytes);
+  if (v && typeof v === "object") return Object.values(v).some(hasBytes);
+  return false;
+}
+
+/** Copy of `payload` with byte arrays replaced by null, plus the extracted fields in order */
+function extractBytes(payload) {
+  const fields = [];
+  function walk(v, path) {
+    if (isBytes(v)) {
+      fields.push({ path: path.join("."), bytes: v });
+      return null;
+    }
+    if (Array.isArray(v)) return v.map((item, i) => walk(item, [...path, String(i)]));
+    if (v && typeof v === "object") {
+      const out = {};
+      for (const [k, item] of Object.entries(v)) out[k] = walk(item, [...path, k]);
+      return out;
+    }
+    return v;
+  }
+  return { payload: walk(payload, []), fields };
+}
+
+function encodeFrame(msg) {
+  const { payload, fields } = extractBytes(msg.payload);
+  const header = encoder.encode(JSON.stringify({
+    ...msg,
+    payload,
+    fields: fields.map((f) => ({ path: f.path, length: f.bytes.length })),
+  }));
+  const size = HEADER_LEN_BYTES + header.length + fields.reduce((n, f) => n + f.bytes.length, 0);
+  const out = new Uint8Array(size);
+  new DataView(out.buffer).setUint32(0, header.length);
+  out.set(header, HEADER_LEN_BYTES);
+  let off = HEADER_LEN_BYTES + header.length;
+  for (const f of fields) {
+    out.set(f.bytes, off);
+    off += f.bytes.length;
+  }
+  return out;
+}
+
+// segments that would walk out of the payload into shared prototypes
+const UNSAFE_SEGMENTS = new Set(["__proto__", "constructor", "prototype"]);
+
+function assignByPath(root, path, value) {
+  const parts = String(path).split(".").filter(Boolean);
+  const unsafe = parts.find((k) => UNSAFE_SEGMENTS.has(k));
+  if (unsafe) throw new Error(`Binary frame field path may not contain "${unsafe}"`);
+  let obj = root;
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (obj[parts[i]] == null || typeof obj[parts[i]] !== "object") obj[parts[i]] = {};
+    obj = obj[parts[i]];
+  }
+  obj[parts[parts.length - 1]] = value;
+}
+
+/** Decode a frame (ArrayBuffer or Uint8Array) into a message with Uint8Array fields */
+function decodeFrame(data) {
+  const buf = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (buf.length < HEADER_LEN_BYTES) throw new Error("Binary frame too short");
+  const headerLen = new DataView(buf.buffer, buf.byteOffset, buf.byteLength).getUint32(0);
+  const bodyStart = HEADER_LEN_BYTES + headerLen;
+  if (bodyStart > buf.length) throw new Error("Binary frame header length exceeds frame size");
+  const msg = JSON.parse(decoder.decode(buf.subarray(HEADER_LEN_BYTES, bodyStart)));
+  const payload = msg.payload && typeof msg.payload === "object" ? msg.payload : {};
+  let off = bodyStart;
+  for (const f of msg.fields || []) {
+    assignByPath(payload, f.path, buf.slice(off, off + f.length));
+    off += f.length;
+  }
+  delete msg.fields;
+  msg.payload = payload;
+  return msg;
+}
+
+module.exports = { encodeFrame, decodeFrame, hasBytes };
@@ -0,0 +1,152 @@
+// Types for the bridge client. Pass the `Methods` interface written by
+// src/typegen.js as the type parameter for typed requests and responses:
+//
+//   import type { Methods } from "./bridge-types";
+//   const client = new BridgeClient<Methods>("ws://localhost:8080");
+
+export declare const Status: {
+  readonly OK: 0;
+  readonly CANCELLED: 1;
+  readonly UNKNOWN: 2;
+  readonly INVALID_ARGUMENT: 3;
+  readonly DEADLINE_EXCEEDED: 4;
+  readonly NOT_FOUND: 5;
+  readonly ALREADY_EXISTS: 6;
+  readonly PERMISSION_DENIED: 7;
+  readonly RESOURCE_EXHAUSTED: 8;
+  readonly FAILED_PRECONDITION: 9;
+  readonly ABORTED: 10;
+  readonly OUT_OF_RANGE: 11;
+  readonly UNIMPLEMENTED: 12;
+  readonly INTERNAL: 13;
+  readonly UNAVAILABLE: 14;
+  readonly DATA_LOSS: 15;
+  readonly UNAUTHENTICATED: 16;
+};
+
+export type StatusName = keyof typeof Status;
+
+export declare const STATUS_NAMES: { readonly [code: number]: StatusName };
+
+export type Metadata = { [key: string]: string | string[] };
+
+export interface CallStatus {
+  code: number;
+  details: string;
+  metadata: Metadata;
+}
+
+export declare class BridgeError extends Error {
+  constructor(code: number, details?: string, metadata?: Metadata);
+  name: "BridgeError";
+  code: number;
+  codeName: StatusName;
+  details: string;
+  metadata: Metadata;
+  static from(status: Partial<CallStatus>): BridgeError;
+}
+
+export interface MethodInfo {
+  request: unknown;
+  response: unknown;
+  requestStream: boolean;
+  responseStream: boolean;
+}
+
+type Untyped = { [method: string]: { request: any; response: any; requestStream: boolean; responseStream: boolean } };
+
+// an untyped method (flag: boolean) may be called as any kind
+type Matches<F, V extends boolean> = boolean extends F ? true : F extends V ? true : false;
+
+type MethodsOf<M, Req extends boolean, Res extends boolean> = {
+  [K in keyof M]: M[K] extends MethodInfo
+    ? Matches<M[K]["requestStream"], Req> extends true
+      ? Matches<M[K]["responseStream"], Res> extends true ? K : never
+      : never
+    : never;
+}[keyof M] & string;
+
+export interface CallOptions {
+  target?: string;
+  metadata?: Metadata;
+  timeoutMs?: number;
+  deadline?: number | string | Date;
+  signal?: AbortSignal;
+  /** Server/bidi: flow-control window; refilled as the iterator consumes */
+  credits?: number;
+  /** Receive bytes fields as Uint8Array via binary frames (default true) */
+  binaryResponses?: boolean;
+  /** "proto3": canonical proto3 JSON mapping (well-known types as strings / plain JSON) */
+  json?: "loader" | "proto3";
+  /** Field casing, int64/enum representation and defaults/oneof keys for this call */
+  serialization?: SerializationOptions;
+}
+
+export interface SerializationOptions {
+  /** Field names as written in the protos instead of camelCase */
+  keepCase?: boolean;
+  longs?: "String" | "Number";
+  enums?: "String" | "Number";
+  /** false: leave out fields holding their default value */
+  defaults?: boolean;
+  /** false: no virtual property naming the oneof member that is set */
+  oneofs?: boolean;
+}
+
+export interface ClientOptions {
+  /** WebSocket implementation (default: global WebSocket, else the `ws` package) */
+  WebSocket?: any;
+  protocols?: string | string[];
+  /** Envelope encoding offered to the bridge (default "json"); msgpack/cbor need their packages */
+  encoding?: "json" | "msgpack" | "cbor";
+  /** Extra constructor options for the `ws` package */
+  wsOptions?: object;
+  target?: string;
+  metadata?: Metadata;
+}
+
+declare class Call {
+  readonly callId: string;
+  readonly method: string;
+  readonly headers: Promise<Metadata>;
+  readonly status: Promise<CallStatus>;
+  readonly trailers: Promise<Metadata>;
+  cancel(err?: BridgeError): void;
+}
+
+export declare class UnaryCall<Res> extends Call implements PromiseLike<Res> {
+  readonly response: Promise<Res>;
+  then<A = Res, B = never>(onFulfilled?: ((value: Res) => A | PromiseLike<A>) | null, onRejected?: ((reason: any) => B | PromiseLike<B>) | null): Promise<A | B>;
+  catch<B = never>(onRejected?: ((reason: any) => B | PromiseLike<B>) | null): Promise<Res | B>;
+  finally(onFinally?: (() => void) | null): Promise<Res>;
+}
+
+export declare class ClientStreamCall<Req, Res> extends Call {
+  readonly response: Promise<Res>;
+  write(payload: Req): Promise<void>;
+  end(): Promise<void>;
+}
+
+export declare class ServerStreamCall<Res> extends Call implements AsyncIterable<Res> {
+  [Symbol.asyncIterator](): AsyncIterator<Res>;
+}
+
+export declare class BidiStreamCall<Req, Res> extends Call implements AsyncIterable<Res> {
+  write(payload: Req): Promise<void>;
+  end(): Promise<void>;
+  [Symbol.asyncIterator](): AsyncIterator<Res>;
+}
+
+export declare class BridgeClient<M extends { [K in keyof M]: MethodInfo } = Untyped> {
+  constructor(url: string, options?: ClientOptions);
+  connect(): Promise<void>;
+  close(code?: number, reason?: string): void;
+
+  unary<K extends MethodsOf<M, false, false>>(method: K, request?: M[K]["request"], options?: CallOptions): UnaryCall<M[K]["response"]>;
+  serverStream<K extends MethodsOf<M, false, true>>(method: K, request?: M[K]["request"], options?: CallOptions): ServerStreamCall<M[K]["response"]>;
+  clientStream<K extends MethodsOf<M, true, false>>(method: K, options?: CallOptions): ClientStreamCall<M[K]["request"], M[K]["response"]>;
+  bidiStream<K extends MethodsOf<M, true, true>>(method: K, options?: CallOptions): BidiStreamCall<M[K]["request"], M[K]["response"]>;
+
+  list(options?: { target?: string }): Promise<Array<{ name: string; methods: any[] }>>;
+  describe(options?: { target?: string; method?: string; service?: string }): Promise<{ services: any[]; messages: object; enums: object }>;
+}
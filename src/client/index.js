@@ -0,0 +1,437 @@
+"use strict";
+
+const { encodeFrame, decodeFrame, hasBytes } = require("./frames");
+const { Status, STATUS_NAMES, BridgeError } = require("./errors");
+const { createCodec } = require("./codecs");
+
+/**
+ * Client for the bridge's WebSocket protocol, for Node and browsers.
+ *
+ *   const client = new BridgeClient("ws://localhost:8080");
+ *   const reply = await client.unary("demo.Greeter/SayHello", { name: "Alice" });
+ *   for await (const msg of client.serverStream("demo.Greeter/GreetMany", { name: "Bob", count: 3 })) ...
+ *
+ * Calls resolve/iterate on success and reject/throw a BridgeError otherwise.
+ * Fields given as Uint8Array are sent in binary frames (or natively with the
+ * msgpack/cbor encodings); bytes in responses arrive as Uint8Array.
+ */
+
+let nextCallId = 0;
+
+function defaultWebSocket() {
+  if (typeof WebSocket !== "undefined") return WebSocket;
+  // Node < 22 has no global WebSocket
+  return require("ws");
+}
+
+function abortError(signal) {
+  const reason = signal && signal.reason;
+  return new BridgeError(Status.CANCELLED, reason && reason.message ? reason.message : "Call aborted");
+}
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+/**
+ * One call on the connection. Common to every kind:
+ *   callId
+ *   headers   promise of the response headers ({} if the call ended without any)
+ *   status    promise of the final { code, details, metadata }; never rejects
+ *   trailers  promise of the trailing metadata
+ *   cancel()  stop the call; pending reads and the response reject with CANCELLED
+ */
+class Call {
+  constructor(client, method, request, options = {}, streaming = false) {
+    this.client = client;
+    this.method = method;
+    this.callId = `c${++nextCallId}`;
+    this.streaming = streaming;
+    this.done = false;
+    this.error = null;
+    this.paused = false;
+    this.drained = null; // deferred while the bridge asked us to pause writes
+    this.messages = []; // streamed data not yet consumed by the iterator
+    this.waiter = null; // pending next() of the iterator
+    this.result = undefined;
+    this.credits = options.credits != null ? options.credits : null;
+    this.consumed = 0;
+
+    this.headersD = deferred();
+    this.statusD = deferred();
+    this.responseD = deferred();
+    this.headers = this.headersD.promise;
+    this.status = this.statusD.promise;
+    this.trailers = this.status.then((s) => s.metadata || {});
+    // avoid unhandled rejections on calls whose response nobody awaits
+    this.responseD.promise.catch(() => { });
+    this.sending = Promise.resolve();
+
+    this.signal = options.signal;
+    this.onAbort = () => this.cancel(abortError(this.signal));
+    if (this.signal && this.signal.aborted) {
+      this.finish(abortError(this.signal));
+      return;
+    }
+    if (this.signal) this.signal.addEventListener("abort", this.onAbort, { once: true });
+
+    const start = {
+      type: "start",
+      callId: this.callId,
+      method,
+      target: options.target || client.target,
+      metadata: { ...client.metadata, ...options.metadata },
+      binaryResponses: options.binaryResponses !== false,
+    };
+    if (request !== undefined) start.payload = request;
+    if (options.timeoutMs != null) start.timeoutMs = options.timeoutMs;
+    if (options.deadline != null) start.deadline = options.deadline instanceof Date ? options.deadline.getTime() : options.deadline;
+    if (this.credits != null) start.credits = this.credits;
+    if (options.json) start.json = options.json;
+    if (options.serialization) start.serialization = options.serialization;
+
+    client.calls.set(this.callId, this);
+    this.enqueue(() => client.connect().then(() => {
+      if (!this.done) client.send(start);
+    })).catch((e) => this.finish(e instanceof BridgeError ? e : new BridgeError(Status.UNAVAILABLE, e.message)));
+  }
+
+  /** Run `fn` after everything sent before it (start, writes); a failure does not stall the queue */
+  enqueue(fn) {
+    const p = this.sending.then(fn);
+    this.sending = p.catch(() => { });
+    return p;
+  }
+
+  cancel(err) {
+    if (this.done) return;
+    this.enqueue(() => this.client.send({ type: "cancel", callId: this.callId })).catch(() => { });
+    this.finish(err || new BridgeError(Status.CANCELLED, "Call cancelled"));
+  }
+
+  /** A bridge message for this call */
+  receive(msg) {
+    if (this.done) return;
+    switch (msg.type) {
+      case "headers":
+        this.headersD.resolve(msg.metadata || {});
+        break;
+      case "data":
+        this.onData(msg.payload);
+        break;
+      case "pause":
+        this.paused = true;
+        break;
+      case "drain":
+        this.paused = false;
+        if (this.drained) this.drained.resolve();
+        this.drained = null;
+        break;
+      case "status": {
+        const status = msg.status || {};
+        this.finish(status.code === Status.OK ? null : BridgeError.from(status), status);
+        break;
+      }
+      case "error":
+        this.finish(BridgeError.from(msg.error));
+        break;
+      default:
+        break;
+    }
+  }
+
+  onData(payload) {
+    if (!this.streaming) {
+      this.result = payload;
+    } else if (this.waiter) {
+      const w = this.waiter;
+      this.waiter = null;
+      this.consume();
+      w.resolve({ value: payload, done: false });
+    } else {
+      this.messages.push(payload);
+    }
+  }
+
+  // hand out more credits once half the window was consumed
+  consume() {
+    if (this.credits == null || this.done) return;
+    this.consumed += 1;
+    if (this.consumed * 2 >= Math.max(this.credits, 1)) {
+      const n = this.consumed;
+      this.consumed = 0;
+      this.enqueue(() => this.client.send({ type: "request", callId: this.callId, n })).catch(() => { });
+    }
+  }
+
+  /** End the call locally; `err` is null for OK */
+  finish(err, status) {
+    if (this.done) return;
+    this.done = true;
+    this.error = err;
+    this.client.calls.delete(this.callId);
+    if (this.signal) this.signal.removeEventListener("abort", this.onAbort);
+    this.headersD.resolve({});
+    this.statusD.resolve(status || { code: err.code, details: err.details, metadata: err.metadata });
+    if (err) this.responseD.reject(err);
+    else this.responseD.resolve(this.result);
+    if (this.drained) this.drained.resolve();
+    this.drained = null;
+    if (this.waiter) {
+      const w = this.waiter;
+      this.waiter = null;
+      if (err) w.reject(err);
+      else w.resolve({ value: undefined, done: true });
+    }
+  }
+
+  sendWrite(payload) {
+    return this.enqueue(async () => {
+      while (this.paused && !this.done) {
+        if (!this.drained) this.drained = deferred();
+        await this.drained.promise;
+      }
+      if (this.done) throw this.error || new BridgeError(Status.FAILED_PRECONDITION, "Call already finished");
+      this.client.send({ type: "write", callId: this.callId, payload });
+    });
+  }
+
+  sendEnd() {
+    return this.enqueue(() => {
+      if (!this.done) this.client.send({ type: "end", callId: this.callId });
+    });
+  }
+
+  read() {
+    if (this.messages.length > 0) {
+      this.consume();
+      return Promise.resolve({ value: this.messages.shift(), done: false });
+    }
+    if (this.done) return this.error ? Promise.reject(this.error) : Promise.resolve({ value: undefined, done: true });
+    this.waiter = deferred();
+    return this.waiter.promise;
+  }
+
+  iterator() {
+    return {
+      next: () => this.read(),
+      // leaving a for-await loop early cancels the call
+      return: () => {
+        this.cancel();
+        this.messages = [];
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+  }
+}
+
+/** Single request and response: await the call itself (or `call.response`) */
+class UnaryCall extends Call {
+  constructor(client, method, request, options) {
+    super(client, method, request, options);
+    this.response = this.responseD.promise;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.response.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.response.catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.response.finally(onFinally);
+  }
+}
+
+/**
+ * Requests via `write()` then `end()`; the result is `call.response`.
+ * `write()` resolves once the message went out and waits while the bridge
+ * paused the stream.
+ */
+class ClientStreamCall extends Call {
+  constructor(client, method, options) {
+    super(client, method, undefined, options);
+    this.response = this.responseD.promise;
+  }
+
+  write(payload) {
+    return this.sendWrite(payload);
+  }
+
+  end() {
+    return this.sendEnd();
+  }
+}
+
+/** Responses via `for await (const msg of call)` */
+class ServerStreamCall extends Call {
+  constructor(client, method, request, options) {
+    super(client, method, request, options, true);
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.iterator();
+  }
+}
+
+/** Requests via `write()` / `end()`, responses via `for await (const msg of call)` */
+class BidiStreamCall extends Call {
+  constructor(client, method, options) {
+    super(client, method, undefined, options, true);
+  }
+
+  write(payload) {
+    return this.sendWrite(payload);
+  }
+
+  end() {
+    return this.sendEnd();
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.iterator();
+  }
+}
+
+/**
+ * options:
+ *   WebSocket    implementation to use (default: global WebSocket, else the `ws` package)
+ *   protocols    WebSocket subprotocols (e.g. for token auth)
+ *   encoding     "json" (default) | "msgpack" | "cbor": envelope encoding to offer;
+ *                JSON is used if the bridge accepts another subprotocol
+ *   wsOptions    extra constructor options for the `ws` package (headers, TLS)
+ *   target       default upstream for calls
+ *   metadata     default metadata for calls
+ *
+ * Per-call options: target, metadata, timeoutMs, deadline, signal (AbortSignal),
+ * credits (server/bidi: flow-control window), binaryResponses (default true),
+ * json ("proto3" for the canonical JSON mapping), serialization ({ keepCase,
+ * longs, enums, defaults, oneofs } for this call).
+ */
+class BridgeClient {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.WebSocket = options.WebSocket || defaultWebSocket();
+    this.codec = createCodec(options.encoding);
+    this.protocols = this.codec ? [this.codec.protocol, ...[].concat(options.protocols || [])] : options.protocols;
+    this.wsOptions = options.wsOptions;
+    this.target = options.target;
+    this.metadata = options.metadata || {};
+    this.calls = new Map(); // callId => Call (or pending list/describe)
+    this.ws = null;
+    this.opening = null;
+    this.wireCodec = null; // this.codec once the bridge has accepted it
+  }
+
+  /** Open the connection; calls do this on demand */
+  connect() {
+    if (this.opening) return this.opening;
+    this.opening = new Promise((resolve, reject) => {
+      const ws = this.wsOptions
+        ? new this.WebSocket(this.url, this.protocols, this.wsOptions)
+        : new this.WebSocket(this.url, this.protocols);
+      ws.binaryType = "arraybuffer";
+      let open = false;
+      ws.addEventListener("open", () => {
+        open = true;
+        this.wireCodec = this.codec && ws.protocol === this.codec.protocol ? this.codec : null;
+        resolve();
+      });
+      ws.addEventListener("message", (ev) => this.onMessage(ev.data));
+      ws.addEventListener("error", (ev) => {
+        if (!open) reject(new BridgeError(Status.UNAVAILABLE, `Cannot connect to ${this.url}${ev && ev.message ? `: ${ev.message}` : ""}`));
+      });
+      ws.addEventListener("close", (ev) => {
+        if (this.ws === ws) {
+          this.ws = null;
+          this.opening = null;
+        }
+        // calls waiting for the connection fail through the rejected connect()
+        if (!open) return reject(new BridgeError(Status.UNAVAILABLE, `Cannot connect to ${this.url} (close code ${ev.code})`));
+        const err = new BridgeError(Status.UNAVAILABLE, `Connection closed (code ${ev.code}${ev.reason ? `: ${ev.reason}` : ""})`);
+        for (const call of [...this.calls.values()]) call.finish(err);
+      });
+      this.ws = ws;
+    });
+    // a failed attempt may be retried by the next call
+    this.opening.catch(() => { this.opening = null; });
+    return this.opening;
+  }
+
+  /** Close the connection; calls still running fail with UNAVAILABLE */
+  close(code = 1000, reason) {
+    if (this.ws) this.ws.close(code, reason);
+  }
+
+  send(msg) {
+    if (!this.ws || this.ws.readyState !== 1) throw new BridgeError(Status.UNAVAILABLE, "Not connected");
+    if (this.wireCodec) this.ws.send(this.wireCodec.encode(msg));
+    else this.ws.send(hasBytes(msg.payload) ? encodeFrame(msg) : JSON.stringify(msg));
+  }
+
+  onMessage(data) {
+    let msg;
+    try {
+      if (typeof data === "string") msg = JSON.parse(data);
+      else msg = this.wireCodec ? this.wireCodec.decode(data) : decodeFrame(data);
+    } catch (_) {
+      return; // not ours to handle
+    }
+    const call = msg && this.calls.get(msg.callId);
+    if (call) call.receive(msg);
+  }
+
+  unary(method, request, options) {
+    return new UnaryCall(this, method, request === undefined ? {} : request, options);
+  }
+
+  serverStream(method, request, options) {
+    return new ServerStreamCall(this, method, request === undefined ? {} : request, options);
+  }
+
+  clientStream(method, options) {
+    return new ClientStreamCall(this, method, options);
+  }
+
+  bidiStream(method, options) {
+    return new BidiStreamCall(this, method, options);
+  }
+
+  /** Services visible on `target` */
+  async list(options = {}) {
+    const reply = await this.request({ type: "list", target: options.target || this.target });
+    return reply.services;
+  }
+
+  /** Methods and message schemas; narrow with `method` or `service` */
+  async describe(options = {}) {
+    const reply = await this.request({ type: "describe", target: options.target || this.target, method: options.method, service: options.service });
+    return { services: reply.services, messages: reply.messages, enums: reply.enums };
+  }
+
+  async request(msg) {
+    await this.connect();
+    const callId = `c${++nextCallId}`;
+    const reply = deferred();
+    this.calls.set(callId, {
+      receive: (m) => {
+        this.calls.delete(callId);
+        if (m.type === "error") reply.reject(BridgeError.from(m.error));
+        else reply.resolve(m);
+      },
+      finish: (err) => {
+        this.calls.delete(callId);
+        reply.reject(err);
+      },
+    });
+    this.send({ ...msg, callId });
+    return reply.promise;
+  }
+}
+
+module.exports = { BridgeClient, BridgeError, Status, STATUS_NAMES };
@@ -0,0 +1,49 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+// ${VAR} or ${VAR:-default}; $${...} is a literal "${...}"
+const ENV_REF = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+function interpolateString(s, env, where) {
+  return s.replace(ENV_REF, (match, escaped, name, fallback) => {
+    if (escaped) return match.slice(1);
+    if (env[name] != null && env[name] !== "") return env[name];
+    if (fallback !== undefined) return fallback;
+    throw new Error(`${where}: environment variable ${name} is not set`);
+  });
+}
+
+/** Replace ${VAR} references in every string value (not keys) of a parsed config */
+function interpolateEnv(value, env = process.env, where = "config") {
+  if (typeof value === "string") return interpolateString(value, env, where);
+  if (Array.isArray(value)) return value.map((v, i) => interpolateEnv(v, env, `${where}[${i}]`));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = interpolateEnv(v, env, `${where}.${k}`);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Read a JSON or YAML (.yaml/.yml) config file and interpolate environment
+ * variables. Relative file paths inside stay relative to the working directory.
+ */
+function loadConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  let data;
+  try {
+    data = ext === ".yaml" || ext === ".yml" ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Cannot parse ${file}: ${e.message}`);
+  }
+  if (data == null) return {};
+  if (typeof data !== "object" || Array.isArray(data)) throw new Error(`${file}: expected an object at the top level`);
+  return interpolateEnv(data, process.env, path.basename(file));
+}
+
+module.exports = { loadConfigFile, interpolateEnv };
@@ -2,6 +2,9 @@
 
 const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
+const { rootFromPackageDefinition, rootFromFileDescriptors } = require("./schema");
+const { fetchReflectedPackageDefinition } = require("./reflection");
+const { channelState } = require("./health");
 
 const defaultLoaderOptions = {
   keepCase: false,
@@ -11,18 +14,96 @@ const defaultLoaderOptions = {
   oneofs: true,
 };
 
+// Distinguishes clients of upstreams that share an address but not credentials
+const credentialIds = new WeakMap();
+let nextCredentialsId = 1;
+function credentialsId(credentials) {
+  if (!credentials) return 0;
+  // a WeakMap has no size to count with
+  if (!credentialIds.has(credentials)) credentialIds.set(credentials, nextCredentialsId++);
+  return credentialIds.get(credentials);
+}
+
+// Error carrying a gRPC status, so callers can report it as such
+function statusError(code, details) {
+  const err = new Error(details);
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+// How long a failed reflection fetch (or a method miss) is remembered before retrying
+const REFLECTION_RETRY_MS = 30000;
+
 class GrpcEnv {
-  constructor(protoPaths = [], includeDirs = [], loaderOptions = {}) {
-    this.protoPaths = Array.isArray(protoPaths) ? protoPaths : [protoPaths];
-    this.includeDirs = Array.isArray(includeDirs) ? includeDirs : [includeDirs];
+  constructor(protoPaths = [], includeDirs = [], loaderOptions = {}, options = {}) {
+    this.protoPaths = protoPaths == null ? [] : Array.isArray(protoPaths) ? protoPaths : [protoPaths];
+    this.includeDirs = includeDirs == null ? [] : Array.isArray(includeDirs) ? includeDirs : [includeDirs];
     this.loaderOptions = { ...defaultLoaderOptions, ...loaderOptions };
+    this.reflection = !!options.reflection;
+    this.reflectionTimeoutMs = options.reflectionTimeoutMs || 5000;
+    this.reflected = new Map(); // key: `${target}|${credentials}|${channelOptions}` => { promise, at, failed, env }
     this.packageDefinition = null;
     this.loaded = null;
+    this.root = null; // protobufjs Root rebuilt from packageDefinition (lazy)
+    this.originalRoot = null; // same, with field names as written in the protos (lazy)
+    this.descriptorFiles = null; // FileDescriptorProtos of a reflected env
     this.clientCache = new Map(); // key: `${target}|${fqn}` => client instance
+    this.activeCalls = 0;
+    this.retired = false;
+  }
+
+  /** Fresh, unloaded env with the same protos, options and reflection cache */
+  clone() {
+    const next = new GrpcEnv(this.protoPaths, this.includeDirs, this.loaderOptions, {
+      reflection: this.reflection,
+      reflectionTimeoutMs: this.reflectionTimeoutMs,
+    });
+    // reflected schemas come from the upstreams, not from local files
+    next.reflected = this.reflected;
+    return next;
+  }
+
+  /** Mark a call as running on this env; call the returned function (once) when it ends */
+  acquire() {
+    this.activeCalls += 1;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.activeCalls -= 1;
+      if (this.retired && this.activeCalls === 0) this.close();
+    };
+  }
+
+  /** Stop handing out this env; its clients close once the last in-flight call ends */
+  retire() {
+    this.retired = true;
+    if (this.activeCalls === 0) this.close();
+  }
+
+  /** Close the cached clients of this env (reflected envs close when a refresh supersedes them) */
+  close() {
+    for (const client of this.clientCache.values()) {
+      try { client.close(); } catch (_) { }
+    }
+    this.clientCache.clear();
   }
 
   load() {
     if (this.loaded) return this.loaded;
+    if (this.protoPaths.length === 0) {
+      // reflection-only setup: nothing to load locally
+      this.packageDefinition = {};
+      this.loaded = {};
+      return this.loaded;
+    }
+    this.packageDefinition = this.loadPackageDefinition(this.loaderOptions);
+    this.loaded = grpc.loadPackageDefinition(this.packageDefinition);
+    return this.loaded;
+  }
+
+  loadPackageDefinition(loaderOptions) {
     const path = require("path");
     const extraDirs = Array.from(new Set(this.protoPaths.map((p) => path.resolve(path.dirname(p)))));
     const allIncludes = Array.from(new Set([
@@ -30,10 +111,19 @@ class GrpcEnv {
       ...extraDirs,
       process.cwd(),
     ]));
-    const opts = { includeDirs: allIncludes, ...this.loaderOptions };
-    this.packageDefinition = protoLoader.loadSync(this.protoPaths, opts);
-    this.loaded = grpc.loadPackageDefinition(this.packageDefinition);
-    return this.loaded;
+    return protoLoader.loadSync(this.protoPaths, { includeDirs: allIncludes, ...loaderOptions });
+  }
+
+  /**
+   * Wrap an already-built package definition (e.g. from reflection).
+   * `descriptorFiles` are the FileDescriptorProtos it came from, if known.
+   */
+  static fromPackageDefinition(packageDefinition, loaderOptions = {}, descriptorFiles = null) {
+    const env = new GrpcEnv([], [], loaderOptions);
+    env.packageDefinition = packageDefinition;
+    env.descriptorFiles = descriptorFiles;
+    env.loaded = grpc.loadPackageDefinition(packageDefinition);
+    return env;
   }
 
   /** Resolve a namespace object by package path, e.g., "my.pkg" */
@@ -49,7 +139,7 @@ class GrpcEnv {
    */
   static parseFQMethod(fqMethod) {
     if (!fqMethod || typeof fqMethod !== "string" || !fqMethod.includes("/")) {
-      throw new Error(`Invalid method: ${fqMethod}`);
+      throw statusError(grpc.status.INVALID_ARGUMENT, `Invalid method: ${fqMethod}`);
     }
     const [serviceFQN, methodName] = fqMethod.split("/");
     const parts = serviceFQN.split(".");
@@ -61,45 +151,206 @@ class GrpcEnv {
   /** Get the client constructor for a given service FQN */
   getServiceCtor(pkgPath, serviceName) {
     const pkg = this.getPackage(pkgPath);
-    if (!pkg) throw new Error(`Package not found: ${pkgPath}`);
+    if (!pkg) throw statusError(grpc.status.NOT_FOUND, `Package not found: ${pkgPath}`);
     const ctor = pkg[serviceName];
-    if (!ctor) throw new Error(`Service not found: ${pkgPath}.${serviceName}`);
+    if (!ctor) throw statusError(grpc.status.NOT_FOUND, `Service not found: ${pkgPath}.${serviceName}`);
     return ctor;
   }
 
-  /** Create gRPC credentials */
+  /**
+   * Create gRPC credentials.
+   * options: { secure, tlsCa, tlsCert, tlsKey } (file paths); cert + key enable mTLS
+   */
   static makeCredentials(options = {}) {
-    const { secure, tlsCa } = options;
+    const { secure, tlsCa, tlsCert, tlsKey } = options;
     if (secure) {
-      let rootCert = undefined;
-      if (tlsCa) {
-        const fs = require("fs");
-        rootCert = fs.readFileSync(tlsCa);
-      }
-      return grpc.credentials.createSsl(rootCert);
+      if (!tlsCert !== !tlsKey) throw new Error("Client TLS needs both a certificate and a key");
+      const fs = require("fs");
+      const rootCert = tlsCa ? fs.readFileSync(tlsCa) : undefined;
+      const key = tlsKey ? fs.readFileSync(tlsKey) : undefined;
+      const cert = tlsCert ? fs.readFileSync(tlsCert) : undefined;
+      return grpc.credentials.createSsl(rootCert, key, cert);
     }
     return grpc.credentials.createInsecure();
   }
 
-  /** Get or create a cached client by target and service FQN */
-  getClient(target, pkgPath, serviceName, credentials) {
+  /**
+   * Channel options for a client.
+   * options: { serverName, channelOptions } — serverName overrides the name
+   * checked against the server certificate (and the :authority header)
+   */
+  static makeChannelOptions(options = {}) {
+    const out = { ...(options.channelOptions || {}) };
+    if (options.serverName) {
+      out["grpc.ssl_target_name_override"] = options.serverName;
+      out["grpc.default_authority"] = options.serverName;
+    }
+    return out;
+  }
+
+  /** Get or create a cached client by target, service FQN, credentials and channel options */
+  getClient(target, pkgPath, serviceName, credentials, channelOptions = {}) {
     const fqn = pkgPath ? `${pkgPath}.${serviceName}` : serviceName;
-    const key = `${target}|${fqn}`;
+    const key = `${target}|${fqn}|${credentialsId(credentials)}|${JSON.stringify(channelOptions)}`;
     if (this.clientCache.has(key)) return this.clientCache.get(key);
     const Ctor = this.getServiceCtor(pkgPath, serviceName);
-    const client = new Ctor(target, credentials);
+    const client = new Ctor(target, credentials, channelOptions);
     this.clientCache.set(key, client);
     return client;
   }
 
+  /** Connectivity state of every cached client, including those of reflected envs */
+  channelStates() {
+    const out = [];
+    for (const [key, client] of this.clientCache) {
+      const [target, service] = key.split("|");
+      out.push({ target, service, state: channelState(client) });
+    }
+    for (const entry of this.reflected.values()) {
+      if (entry.env) out.push(...entry.env.channelStates());
+    }
+    return out;
+  }
+
   /** Lookup method definition to infer streaming types */
   getMethodDef(pkgPath, serviceName, methodName) {
     const Ctor = this.getServiceCtor(pkgPath, serviceName);
     const svc = Ctor.service;
     const def = svc && svc[methodName];
-    if (!def) throw new Error(`Method not found: ${pkgPath}.${serviceName}/${methodName}`);
+    if (!def) throw statusError(grpc.status.UNIMPLEMENTED, `Method not found: ${pkgPath}.${serviceName}/${methodName}`);
     return def; // has requestStream, responseStream, path
   }
+
+  hasMethod(pkgPath, serviceName, methodName) {
+    try {
+      this.getMethodDef(pkgPath, serviceName, methodName);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Get (and cache per target, credentials and channel options, like
+   * getClient) a GrpcEnv built from the target's server reflection service.
+   * `refresh` refetches if the cached copy is old enough; the env it
+   * replaces is retired, closing its clients once its calls end.
+   */
+  getReflectedEnv(target, credentials, refresh = false, channelOptions = {}) {
+    const key = `${target}|${credentialsId(credentials)}|${JSON.stringify(channelOptions)}`;
+    const cached = this.reflected.get(key);
+    const stale = cached && Date.now() - cached.at >= REFLECTION_RETRY_MS;
+    if (cached && !(stale && (cached.failed || refresh))) return cached.promise;
+    if (cached && cached.env) cached.env.retire();
+    const entry = { at: Date.now(), failed: false };
+    const fetchOptions = { timeoutMs: this.reflectionTimeoutMs, channelOptions };
+    entry.promise = fetchReflectedPackageDefinition(target, credentials, this.loaderOptions, fetchOptions)
+      .then(({ packageDefinition, files }) => {
+        entry.env = GrpcEnv.fromPackageDefinition(packageDefinition, this.loaderOptions, files);
+        // superseded while fetching: serve the callers already waiting, then close
+        if (this.reflected.get(key) !== entry) entry.env.retire();
+        return entry.env;
+      })
+      .catch((e) => {
+        entry.failed = true;
+        throw e;
+      });
+    // avoid unhandled rejections for cached failures nobody awaits
+    entry.promise.catch(() => { });
+    this.reflected.set(key, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Pick the GrpcEnv that knows a method for the given target: the target's
+   * reflected schema when reflection is enabled, else (or as fallback) this
+   * env's local protos.
+   */
+  async resolveEnv(target, pkgPath, serviceName, methodName, credentials, channelOptions = {}) {
+    if (!this.reflection) return this;
+    let reflectionError = null;
+    try {
+      let reflected = await this.getReflectedEnv(target, credentials, false, channelOptions);
+      if (!reflected.hasMethod(pkgPath, serviceName, methodName)) {
+        reflected = await this.getReflectedEnv(target, credentials, true, channelOptions);
+      }
+      if (reflected.hasMethod(pkgPath, serviceName, methodName)) return reflected;
+    } catch (e) {
+      reflectionError = e;
+    }
+    if (reflectionError && !this.hasMethod(pkgPath, serviceName, methodName)) {
+      const code = reflectionError.code != null ? reflectionError.code : grpc.status.UNAVAILABLE;
+      throw statusError(code, `Reflection failed for ${target}: ${reflectionError.details || reflectionError.message}`);
+    }
+    return this;
+  }
+
+  /**
+   * List every service in the loaded package definition with its methods.
+   * Returns [{ name, methods: [{ name, method, requestStream, responseStream, requestType, responseType }] }]
+   */
+  describeServices() {
+    this.load();
+    const services = [];
+    for (const [fqn, svc] of Object.entries(this.packageDefinition)) {
+      if (!svc || svc.format) continue; // messages and enums carry a format tag
+      const { pkgPath, serviceName } = GrpcEnv.parseFQMethod(`${fqn}/_`);
+      const methods = Object.keys(svc).map((methodName) => {
+        const def = this.getMethodDef(pkgPath, serviceName, methodName);
+        const types = this.getMethodTypes(pkgPath, serviceName, methodName);
+        return {
+          name: methodName,
+          method: `${fqn}/${methodName}`,
+          requestStream: !!def.requestStream,
+          responseStream: !!def.responseStream,
+          requestType: types.requestType.fullName.slice(1),
+          responseType: types.responseType.fullName.slice(1),
+        };
+      });
+      services.push({ name: fqn, methods });
+    }
+    return services;
+  }
+
+  /** protobufjs reflection Root for the loaded protos */
+  getRoot() {
+    if (this.root) return this.root;
+    this.load();
+    this.root = rootFromPackageDefinition(this.packageDefinition);
+    return this.root;
+  }
+
+  /**
+   * protobufjs Root whose field names are the ones written in the protos
+   * (for calls that ask for keepCase while the env camelCases). Fields and
+   * types line up with getRoot() by number and full name.
+   */
+  getOriginalRoot() {
+    if (this.originalRoot) return this.originalRoot;
+    if (this.loaderOptions.keepCase) {
+      this.originalRoot = this.getRoot();
+    } else if (this.descriptorFiles) {
+      this.originalRoot = rootFromFileDescriptors(this.descriptorFiles, { keepCase: true });
+    } else if (this.protoPaths.length > 0) {
+      this.originalRoot = rootFromPackageDefinition(this.loadPackageDefinition({ ...this.loaderOptions, keepCase: true }));
+    } else {
+      this.originalRoot = this.getRoot();
+    }
+    return this.originalRoot;
+  }
+
+  /**
+   * Resolve protobufjs request/response Types for a method.
+   * Returns { requestType, responseType }
+   */
+  getMethodTypes(pkgPath, serviceName, methodName) {
+    const def = this.getMethodDef(pkgPath, serviceName, methodName);
+    // def.path is canonical: "/pkg.Service/Method"
+    const [, serviceFQN, name] = def.path.split("/");
+    const method = this.getRoot().lookupService(serviceFQN).methods[name];
+    method.resolve();
+    return { requestType: method.resolvedRequestType, responseType: method.resolvedResponseType };
+  }
 }
 
 module.exports = { GrpcEnv };
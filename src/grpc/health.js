@@ -0,0 +1,52 @@
+"use strict";
+
+const path = require("path");
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+
+const PROTO_DIR = path.join(__dirname, "protos");
+
+let HealthCtor = null;
+// credentials => Map<`${address}|${channelOptions}`, Health client> (channel reused across probes)
+const clients = new WeakMap();
+
+function getHealthClient(address, credentials, channelOptions) {
+  if (!HealthCtor) {
+    const def = protoLoader.loadSync("grpc/health/v1/health.proto", {
+      includeDirs: [PROTO_DIR],
+      keepCase: true,
+      enums: String,
+      defaults: true,
+    });
+    HealthCtor = grpc.loadPackageDefinition(def).grpc.health.v1.Health;
+  }
+  if (!clients.has(credentials)) clients.set(credentials, new Map());
+  const byTarget = clients.get(credentials);
+  const key = `${address}|${JSON.stringify(channelOptions)}`;
+  if (!byTarget.has(key)) byTarget.set(key, new HealthCtor(address, credentials, channelOptions));
+  return byTarget.get(key);
+}
+
+/**
+ * Run grpc.health.v1.Health/Check against an upstream.
+ * Resolves to { ok, status, error } and never rejects. An upstream without
+ * the health service answered, so it counts as up (status "UNIMPLEMENTED").
+ */
+function checkHealth(address, credentials, { service = "", timeoutMs = 2000, channelOptions = {} } = {}) {
+  const client = getHealthClient(address, credentials, channelOptions);
+  return new Promise((resolve) => {
+    client.Check({ service }, { deadline: Date.now() + timeoutMs }, (err, resp) => {
+      if (err && err.code === grpc.status.UNIMPLEMENTED) return resolve({ ok: true, status: "UNIMPLEMENTED", error: null });
+      if (err) return resolve({ ok: false, status: null, error: err.details || err.message });
+      resolve({ ok: resp.status === "SERVING", status: resp.status, error: null });
+    });
+  });
+}
+
+/** Connectivity state name of a grpc-js client's channel */
+function channelState(client) {
+  const state = client.getChannel().getConnectivityState(false);
+  return grpc.connectivityState[state];
+}
+
+module.exports = { checkHealth, channelState };
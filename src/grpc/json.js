@@ -0,0 +1,306 @@
+"use strict";
+
+const protobuf = require("protobufjs");
+const { invalidArgument, decodeBytesFields, encodeBytesFields } = require("./schema");
+
+/**
+ * Canonical proto3 JSON mapping (https://protobuf.dev/programming-guides/json/)
+ * on top of proto-loader objects:
+ *
+ *   toProto3Json(type, obj)     proto-loader object (as grpc-js decodes it) => proto3 JSON
+ *   fromProto3Json(type, json)  proto3 JSON => proto-loader object for grpc-js to encode
+ *
+ * Well-known types get their special forms (Timestamp/Duration/FieldMask
+ * strings, Struct/Value/ListValue as plain JSON, wrappers as scalars, Any with
+ * "@type") and oneof discriminator keys are dropped. Fields keep their names
+ * and defaults as the loader produces them; bytes fields outside well-known
+ * types are left as they are for the bytes encoding of the call to handle.
+ */
+
+const JSON_MODES = ["loader", "proto3"];
+
+const { camelCase } = protobuf.util;
+
+// Well-known type fields by number, so the loader's casing does not matter
+function fieldName(type, id) {
+  return type.fieldsById[id].name;
+}
+
+function fieldType(type, id) {
+  return type.fieldsById[id].resolve().resolvedType;
+}
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Uint8Array);
+}
+
+function fraction(nanos) {
+  if (!nanos) return "";
+  if (nanos % 1e6 === 0) return `.${String(nanos / 1e6).padStart(3, "0")}`;
+  if (nanos % 1e3 === 0) return `.${String(nanos / 1e3).padStart(6, "0")}`;
+  return `.${String(nanos).padStart(9, "0")}`;
+}
+
+function nanosOf(digits) {
+  return digits ? Number(digits.padEnd(9, "0")) : 0;
+}
+
+const TIMESTAMP_RE = /^(\d{4})-(\d{2})-(\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,9}))?([Zz]|[+-]\d{2}:\d{2})$/;
+const DURATION_RE = /^(-)?(\d+)(?:\.(\d{1,9}))?s$/;
+const MIN_TIMESTAMP_SECONDS = -62135596800; // 0001-01-01T00:00:00Z
+const MAX_TIMESTAMP_SECONDS = 253402300799; // 9999-12-31T23:59:59Z
+
+function timestampToJson(type, obj) {
+  const seconds = Number(obj[fieldName(type, 1)] || 0);
+  const nanos = Number(obj[fieldName(type, 2)] || 0);
+  // proto3 JSON only has four-digit years
+  if (!(seconds >= MIN_TIMESTAMP_SECONDS && seconds <= MAX_TIMESTAMP_SECONDS)) {
+    throw new Error(`Timestamp seconds ${obj[fieldName(type, 1)]} outside 0001-01-01..9999-12-31`);
+  }
+  if (!(nanos >= 0 && nanos <= 999999999)) throw new Error(`Timestamp nanos ${obj[fieldName(type, 2)]} outside 0..999999999`);
+  const iso = new Date(seconds * 1000).toISOString(); // "...T12:34:56.000Z"
+  return `${iso.slice(0, 19)}${fraction(nanos)}Z`;
+}
+
+function timestampFromJson(type, json, path) {
+  const m = typeof json === "string" && TIMESTAMP_RE.exec(json);
+  if (!m) throw invalidArgument(`${path}: expected an RFC 3339 timestamp, got ${JSON.stringify(json)}`);
+  const d = new Date(0);
+  d.setUTCFullYear(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  d.setUTCHours(Number(m[4]), Number(m[5]), Number(m[6]), 0);
+  let seconds = d.getTime() / 1000;
+  if (!/^[Zz]$/.test(m[8])) {
+    const sign = m[8][0] === "-" ? -1 : 1;
+    seconds -= sign * (Number(m[8].slice(1, 3)) * 3600 + Number(m[8].slice(4, 6)) * 60);
+  }
+  if (seconds < MIN_TIMESTAMP_SECONDS || seconds > MAX_TIMESTAMP_SECONDS) throw invalidArgument(`${path}: timestamp out of range`);
+  return { [fieldName(type, 1)]: String(seconds), [fieldName(type, 2)]: nanosOf(m[7]) };
+}
+
+function durationToJson(type, obj) {
+  const seconds = Number(obj[fieldName(type, 1)] || 0);
+  const nanos = Number(obj[fieldName(type, 2)] || 0);
+  const sign = seconds < 0 || nanos < 0 ? "-" : "";
+  return `${sign}${Math.abs(seconds)}${fraction(Math.abs(nanos))}s`;
+}
+
+function durationFromJson(type, json, path) {
+  const m = typeof json === "string" && DURATION_RE.exec(json);
+  if (!m) throw invalidArgument(`${path}: expected a duration like "1.5s", got ${JSON.stringify(json)}`);
+  const sign = m[1] ? -1 : 1;
+  return { [fieldName(type, 1)]: String(sign * Number(m[2])), [fieldName(type, 2)]: sign * nanosOf(m[3]) };
+}
+
+function fieldMaskToJson(type, obj) {
+  return (obj[fieldName(type, 1)] || []).map((p) => p.split(".").map(camelCase).join(".")).join(",");
+}
+
+function fieldMaskFromJson(type, json, path) {
+  if (typeof json !== "string") throw invalidArgument(`${path}: expected a comma-separated field mask`);
+  const paths = json === "" ? [] : json.split(",").map((p) => p.split(".").map((s) => s.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)).join("."));
+  return { [fieldName(type, 1)]: paths };
+}
+
+function valueToJson(type, obj) {
+  if (obj == null) return null;
+  const get = (id) => obj[fieldName(type, id)];
+  if (get(2) != null) return get(2);
+  if (get(3) != null) return get(3);
+  if (get(4) != null) return get(4);
+  if (get(5) != null) return structToJson(fieldType(type, 5), get(5));
+  if (get(6) != null) return listValueToJson(fieldType(type, 6), get(6));
+  return null; // null_value, or nothing set
+}
+
+function valueFromJson(type, json, path) {
+  const set = (id, v) => ({ [fieldName(type, id)]: v });
+  if (json === null) return set(1, "NULL_VALUE");
+  if (typeof json === "number") return set(2, json);
+  if (typeof json === "string") return set(3, json);
+  if (typeof json === "boolean") return set(4, json);
+  if (Array.isArray(json)) return set(6, listValueFromJson(fieldType(type, 6), json, path));
+  if (isPlainObject(json)) return set(5, structFromJson(fieldType(type, 5), json, path));
+  throw invalidArgument(`${path}: not a JSON value`);
+}
+
+function structToJson(type, obj) {
+  const fields = obj[fieldName(type, 1)] || {};
+  const valueType = fieldType(type, 1);
+  return Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, valueToJson(valueType, v)]));
+}
+
+function structFromJson(type, json, path) {
+  if (!isPlainObject(json)) throw invalidArgument(`${path}: expected a JSON object`);
+  const valueType = fieldType(type, 1);
+  const fields = Object.fromEntries(Object.entries(json).map(([k, v]) => [k, valueFromJson(valueType, v, `${path}.${k}`)]));
+  return { [fieldName(type, 1)]: fields };
+}
+
+function listValueToJson(type, obj) {
+  const valueType = fieldType(type, 1);
+  return (obj[fieldName(type, 1)] || []).map((v) => valueToJson(valueType, v));
+}
+
+function listValueFromJson(type, json, path) {
+  if (!Array.isArray(json)) throw invalidArgument(`${path}: expected a JSON array`);
+  const valueType = fieldType(type, 1);
+  return { [fieldName(type, 1)]: json.map((v, i) => valueFromJson(valueType, v, `${path}.${i}`)) };
+}
+
+function wrapperToJson(type, obj) {
+  const field = type.fieldsById[1];
+  const v = obj[field.name];
+  if (field.type === "bytes") return v instanceof Uint8Array ? Buffer.from(v).toString("base64") : v || "";
+  return scalarToJson(field, v);
+}
+
+function wrapperFromJson(type, json) {
+  return { [fieldName(type, 1)]: json };
+}
+
+function anyToJson(type, obj, ctx) {
+  const typeUrl = obj[fieldName(type, 1)] || "";
+  const value = obj[fieldName(type, 2)];
+  if (!typeUrl) return {};
+  const packed = lookupType(type, typeUrl);
+  if (!packed) {
+    // not in the loaded protos: keep the bytes rather than failing the call
+    return { "@type": typeUrl, value: value ? Buffer.from(value).toString("base64") : "" };
+  }
+  const decoded = packed.toObject(packed.decode(value || new Uint8Array(0)), ctx.loaderOptions);
+  // bytes inside an Any are always base64, whatever the call's bytes handling
+  const json = encodeBytesFields(packed, messageToJson(packed, decoded, ctx));
+  return WELL_KNOWN[packed.fullName.slice(1)] ? { "@type": typeUrl, value: json } : { "@type": typeUrl, ...json };
+}
+
+function anyFromJson(type, json, path, ctx) {
+  if (!isPlainObject(json)) throw invalidArgument(`${path}: expected an object with "@type"`);
+  if (Object.keys(json).length === 0) return {};
+  const typeUrl = json["@type"];
+  if (typeof typeUrl !== "string" || !typeUrl) throw invalidArgument(`${path}: Any needs "@type"`);
+  const packed = lookupType(type, typeUrl);
+  if (!packed) throw invalidArgument(`${path}: unknown type ${typeUrl}`);
+  const { "@type": _, ...rest } = json;
+  const body = WELL_KNOWN[packed.fullName.slice(1)] ? rest.value : rest;
+  const obj = decodeBytesFields(packed, messageFromJson(packed, body, path, ctx));
+  const value = Buffer.from(packed.encode(packed.fromObject(obj)).finish());
+  return { [fieldName(type, 1)]: typeUrl, [fieldName(type, 2)]: value };
+}
+
+function lookupType(anyType, typeUrl) {
+  const name = typeUrl.slice(typeUrl.lastIndexOf("/") + 1);
+  try {
+    return anyType.root.lookupType(name);
+  } catch (_) {
+    return null;
+  }
+}
+
+const WRAPPER = { toJson: wrapperToJson, fromJson: wrapperFromJson };
+const WELL_KNOWN = {
+  "google.protobuf.Timestamp": { toJson: timestampToJson, fromJson: timestampFromJson },
+  "google.protobuf.Duration": { toJson: durationToJson, fromJson: durationFromJson },
+  "google.protobuf.FieldMask": { toJson: fieldMaskToJson, fromJson: fieldMaskFromJson },
+  "google.protobuf.Struct": { toJson: structToJson, fromJson: structFromJson },
+  "google.protobuf.Value": { toJson: valueToJson, fromJson: valueFromJson },
+  "google.protobuf.ListValue": { toJson: listValueToJson, fromJson: listValueFromJson },
+  "google.protobuf.Any": { toJson: anyToJson, fromJson: anyFromJson },
+  "google.protobuf.DoubleValue": WRAPPER,
+  "google.protobuf.FloatValue": WRAPPER,
+  "google.protobuf.Int64Value": WRAPPER,
+  "google.protobuf.UInt64Value": WRAPPER,
+  "google.protobuf.Int32Value": WRAPPER,
+  "google.protobuf.UInt32Value": WRAPPER,
+  "google.protobuf.BoolValue": WRAPPER,
+  "google.protobuf.StringValue": WRAPPER,
+  "google.protobuf.BytesValue": WRAPPER,
+};
+
+function scalarToJson(field, v) {
+  // JSON has no NaN/Infinity; proto3 JSON spells them as strings
+  if ((field.type === "double" || field.type === "float") && typeof v === "number" && !Number.isFinite(v)) return String(v);
+  return v;
+}
+
+function messageToJson(type, obj, ctx) {
+  const wkt = WELL_KNOWN[type.fullName.slice(1)];
+  if (wkt) return wkt.toJson(type, obj, ctx);
+  const out = {};
+  // only real fields: oneof discriminators are left behind
+  for (const field of type.fieldsArray) {
+    const v = obj[field.name];
+    if (v === undefined) continue;
+    field.resolve();
+    const one = (item) => {
+      if (item == null) return null;
+      const t = field.resolvedType;
+      if (t instanceof protobuf.Type) return messageToJson(t, item, ctx);
+      if (t instanceof protobuf.Enum) return t.fullName === ".google.protobuf.NullValue" ? null : item;
+      return scalarToJson(field, item);
+    };
+    if (field.map) out[field.name] = Object.fromEntries(Object.entries(v || {}).map(([k, item]) => [k, one(item)]));
+    else if (field.repeated && Array.isArray(v)) out[field.name] = v.map(one);
+    else out[field.name] = one(v);
+  }
+  return out;
+}
+
+// null stands for "not set", except where it is a value of its own
+function nullIsValue(field) {
+  const t = field.resolvedType;
+  return !!t && (t.fullName === ".google.protobuf.Value" || t.fullName === ".google.protobuf.NullValue");
+}
+
+function messageFromJson(type, json, path, ctx) {
+  const wkt = WELL_KNOWN[type.fullName.slice(1)];
+  if (wkt) return wkt.fromJson(type, json, path || type.name, ctx);
+  if (json == null) return {};
+  if (!isPlainObject(json)) throw invalidArgument(`${path || type.name}: expected an object for ${type.fullName.slice(1)}`);
+  const out = {};
+  for (const [key, v] of Object.entries(json)) {
+    // the original proto field name is accepted as well as the JSON name
+    const field = type.fields[key] || type.fields[camelCase(key)];
+    if (!field) {
+      out[key] = v;
+      continue;
+    }
+    field.resolve();
+    if (v === null && !nullIsValue(field)) continue;
+    const fieldPath = path ? `${path}.${field.name}` : field.name;
+    const one = (item, p) => {
+      const t = field.resolvedType;
+      if (t instanceof protobuf.Type) return messageFromJson(t, item, p, ctx);
+      if (t instanceof protobuf.Enum && t.fullName === ".google.protobuf.NullValue") return "NULL_VALUE";
+      return item;
+    };
+    if (field.map) {
+      if (!isPlainObject(v)) throw invalidArgument(`${fieldPath}: expected an object`);
+      out[field.name] = Object.fromEntries(Object.entries(v).map(([k, item]) => [k, one(item, `${fieldPath}.${k}`)]));
+    } else if (field.repeated) {
+      if (!Array.isArray(v)) throw invalidArgument(`${fieldPath}: expected an array`);
+      out[field.name] = v.map((item, i) => one(item, `${fieldPath}.${i}`));
+    } else {
+      out[field.name] = one(v, fieldPath);
+    }
+  }
+  return out;
+}
+
+/** Whether proto3 JSON gives `type` a form of its own (well-known types) */
+function hasJsonMapping(type) {
+  return !!WELL_KNOWN[type.fullName.slice(1)];
+}
+
+/**
+ * options:
+ *   loaderOptions  the env's proto-loader options (to decode Any payloads)
+ */
+function toProto3Json(type, obj, options = {}) {
+  return messageToJson(type, obj, { loaderOptions: options.loaderOptions || {} });
+}
+
+function fromProto3Json(type, json) {
+  return messageFromJson(type, json, "", {});
+}
+
+module.exports = { JSON_MODES, toProto3Json, fromProto3Json, hasJsonMapping };
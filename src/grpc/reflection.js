@@ -0,0 +1,134 @@
+"use strict";
+
+const path = require("path");
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+const descriptor = require("protobufjs/ext/descriptor");
+const { rootFromFileDescriptors } = require("./schema");
+
+const PROTO_DIR = path.join(__dirname, "protos");
+
+// Tried in order; older servers only expose v1alpha
+const REFLECTION_VERSIONS = ["v1", "v1alpha"];
+
+let reflectionPackages = null;
+
+function loadReflectionPackages() {
+  if (reflectionPackages) return reflectionPackages;
+  reflectionPackages = {};
+  for (const version of REFLECTION_VERSIONS) {
+    const def = protoLoader.loadSync(`grpc/reflection/${version}/reflection.proto`, {
+      includeDirs: [PROTO_DIR],
+      keepCase: true,
+      longs: String,
+      enums: String,
+      defaults: true,
+      oneofs: true,
+    });
+    reflectionPackages[version] = grpc.loadPackageDefinition(def).grpc.reflection[version];
+  }
+  return reflectionPackages;
+}
+
+/**
+ * Request/response session over a single ServerReflectionInfo stream.
+ * Responses arrive in request order, so a FIFO of resolvers is enough.
+ */
+function openSession(Ctor, target, credentials, timeoutMs, channelOptions) {
+  const client = new Ctor(target, credentials, channelOptions);
+  const call = client.ServerReflectionInfo({ deadline: Date.now() + timeoutMs });
+  const waiters = [];
+  let failure = null;
+
+  call.on("data", (resp) => {
+    const w = waiters.shift();
+    if (!w) return;
+    if (resp.error_response) {
+      const err = new Error(resp.error_response.error_message || "Reflection error");
+      err.code = resp.error_response.error_code;
+      w.reject(err);
+    } else {
+      w.resolve(resp);
+    }
+  });
+  call.on("error", (err) => {
+    failure = err;
+    while (waiters.length) waiters.shift().reject(err);
+  });
+  call.on("end", () => {
+    const err = failure || new Error("Reflection stream ended");
+    while (waiters.length) waiters.shift().reject(err);
+  });
+
+  return {
+    request(req) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        call.write(req);
+      });
+    },
+    close() {
+      try { call.end(); } catch (_) { }
+      client.close();
+    },
+  };
+}
+
+async function collectFileDescriptors(session) {
+  const listed = await session.request({ list_services: "" });
+  const services = (listed.list_services_response?.service || [])
+    .map((s) => s.name)
+    .filter((name) => !name.startsWith("grpc.reflection."));
+
+  const files = new Map(); // name => FileDescriptorProto
+  const addFiles = (resp) => {
+    for (const buf of resp.file_descriptor_response?.file_descriptor_proto || []) {
+      const file = descriptor.FileDescriptorProto.decode(buf);
+      if (!files.has(file.name)) files.set(file.name, file);
+    }
+  };
+
+  for (const name of services) {
+    addFiles(await session.request({ file_containing_symbol: name }));
+  }
+  // Servers may skip dependencies they think we already have; fetch any gaps
+  let missing;
+  while ((missing = [...files.values()].flatMap((f) => f.dependency || []).filter((d) => !files.has(d))).length) {
+    for (const dep of new Set(missing)) {
+      addFiles(await session.request({ file_by_filename: dep }));
+      if (!files.has(dep)) throw new Error(`Reflection did not return dependency ${dep}`);
+    }
+  }
+  return { services, files: [...files.values()] };
+}
+
+/**
+ * Fetch every service exposed by `target` through server reflection and load
+ * it as a proto-loader package definition.
+ * Returns { packageDefinition, services, version, files } (files: the decoded
+ * FileDescriptorProtos, with the field names as the server declared them)
+ */
+async function fetchReflectedPackageDefinition(target, credentials, loaderOptions = {}, options = {}) {
+  const timeoutMs = options.timeoutMs || 5000;
+  const packages = loadReflectionPackages();
+  let lastErr;
+  for (const version of REFLECTION_VERSIONS) {
+    const session = openSession(packages[version].ServerReflection, target, credentials, timeoutMs, options.channelOptions || {});
+    try {
+      const { services, files } = await collectFileDescriptors(session);
+      // not loadFileDescriptorSetFromBuffer: it keeps maps as repeated entries and ignores keepCase
+      const root = rootFromFileDescriptors(files, { keepCase: !!loaderOptions.keepCase });
+      const packageDefinition = protoLoader.fromJSON(root.toJSON(), loaderOptions);
+      return { packageDefinition, services, version, files };
+    } catch (e) {
+      lastErr = e;
+      if (e.code !== grpc.status.UNIMPLEMENTED) break;
+    } finally {
+      session.close();
+    }
+  }
+  throw lastErr;
+}
+
+module.exports = { fetchReflectedPackageDefinition };
@@ -0,0 +1,151 @@
+"use strict";
+
+const grpc = require("@grpc/grpc-js");
+const { GrpcEnv } = require("./factory");
+const { loadConfigFile } = require("../config");
+
+function permissionDenied(details) {
+  const err = new Error(details);
+  err.code = grpc.status.PERMISSION_DENIED;
+  err.details = details;
+  return err;
+}
+
+/** Service patterns: "pkg.Service" (exact), "pkg.*" (prefix), "*" (any) */
+function serviceMatches(pattern, serviceFQN) {
+  if (pattern === "*") return true;
+  if (pattern.endsWith(".*")) return serviceFQN.startsWith(pattern.slice(0, -1));
+  return pattern === serviceFQN;
+}
+
+function lowerKeys(obj) {
+  return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+function makeCredentials(name, up) {
+  try {
+    // without an explicit "secure", a CA or client certificate implies TLS
+    const secure = up.secure != null ? !!up.secure : !!(up.tlsCa || up.tlsCert);
+    return GrpcEnv.makeCredentials({ ...up, secure });
+  } catch (e) {
+    throw new Error(`Upstream ${name}: ${e.message}`);
+  }
+}
+
+/**
+ * Maps the `target` of a start message (upstream name or raw host:port) and
+ * the called service to an upstream
+ * { name, address, credentials, channelOptions, metadata, ... }.
+ *
+ * Config shape:
+ *   {
+ *     "defaultUpstream": "demo",      // used when start carries no target and no service pattern matches
+ *     "allowRawTargets": false,       // accept arbitrary host:port targets from clients
+ *     "upstreams": {
+ *       "demo": {
+ *         "address": "localhost:50051", "services": ["demo.*"],
+ *         "secure": false, "tlsCa": null, "tlsCert": null, "tlsKey": null,  // cert + key: mTLS
+ *         "serverName": null,                                              // TLS name / authority override
+ *         "channelOptions": { "grpc.keepalive_time_ms": 30000 },          // grpc-js channel options
+ *         "metadata": { "x-tenant": "web" },                              // default metadata on every call
+ *         "healthCheck": true, "healthService": ""   // readiness probe via grpc.health.v1
+ *       }
+ *     }
+ *   }
+ */
+class UpstreamRouter {
+  constructor(config = {}, defaults = {}) {
+    this.upstreams = new Map();
+    for (const [name, up] of Object.entries(config.upstreams || {})) {
+      if (!up || !up.address) throw new Error(`Upstream ${name} is missing an address`);
+      this.upstreams.set(name, {
+        name,
+        address: up.address,
+        services: up.services ? [].concat(up.services) : ["*"],
+        healthCheck: up.healthCheck !== false,
+        healthService: up.healthService || "",
+        credentials: makeCredentials(name, up),
+        channelOptions: GrpcEnv.makeChannelOptions(up),
+        metadata: lowerKeys(up.metadata),
+      });
+    }
+    if (config.defaultUpstream && !this.upstreams.has(config.defaultUpstream)) {
+      throw new Error(`defaultUpstream ${config.defaultUpstream} is not declared`);
+    }
+    this.defaultUpstream = config.defaultUpstream || null;
+    this.allowRawTargets = !!config.allowRawTargets;
+    // Only used without a routing config (legacy CLI behaviour)
+    this.defaultTarget = defaults.defaultTarget || null;
+    this.defaultCredentials = defaults.credentials || GrpcEnv.makeCredentials();
+    this.defaultChannelOptions = defaults.channelOptions || {};
+    this.defaultMetadata = lowerKeys(defaults.metadata);
+  }
+
+  /** Load a JSON or YAML routing file (environment variables are interpolated) */
+  static fromFile(file, defaults) {
+    return new UpstreamRouter(loadConfigFile(file), defaults);
+  }
+
+  /** Router equivalent to the legacy flags: any target allowed, --default-target otherwise */
+  static permissive(defaultTarget, defaults = {}) {
+    return new UpstreamRouter({ allowRawTargets: true }, { ...defaults, defaultTarget });
+  }
+
+  static allows(upstream, serviceFQN) {
+    return !serviceFQN || upstream.services.some((p) => serviceMatches(p, serviceFQN));
+  }
+
+  /**
+   * Resolve the upstream for a call. `serviceFQN` may be omitted for
+   * service-independent lookups (e.g. listing services).
+   * Throws a PERMISSION_DENIED error when nothing allowed matches.
+   */
+  resolve(target, serviceFQN) {
+    if (target) {
+      const up = this.upstreams.get(target);
+      if (up) {
+        if (!UpstreamRouter.allows(up, serviceFQN)) {
+          throw permissionDenied(`Service ${serviceFQN} is not allowed on upstream ${up.name}`);
+        }
+        return up;
+      }
+      if (this.allowRawTargets) return this.rawUpstream(target);
+      throw permissionDenied(`Unknown upstream: ${target}`);
+    }
+    if (serviceFQN) {
+      for (const up of this.upstreams.values()) {
+        if (UpstreamRouter.allows(up, serviceFQN)) return up;
+      }
+    }
+    if (this.defaultUpstream) {
+      const up = this.upstreams.get(this.defaultUpstream);
+      if (!UpstreamRouter.allows(up, serviceFQN)) {
+        throw permissionDenied(`Service ${serviceFQN} is not allowed on upstream ${up.name}`);
+      }
+      return up;
+    }
+    if (this.defaultTarget) return this.rawUpstream(this.defaultTarget);
+    throw permissionDenied(serviceFQN ? `No upstream allows service ${serviceFQN}` : "No default upstream; specify a target");
+  }
+
+  rawUpstream(address) {
+    return {
+      name: null,
+      address,
+      services: ["*"],
+      healthCheck: true,
+      healthService: "",
+      credentials: this.defaultCredentials,
+      channelOptions: this.defaultChannelOptions,
+      metadata: this.defaultMetadata,
+    };
+  }
+
+  /** Upstreams the operator configured (the default target in legacy mode) */
+  configured() {
+    if (this.upstreams.size > 0) return [...this.upstreams.values()];
+    return this.defaultTarget ? [this.rawUpstream(this.defaultTarget)] : [];
+  }
+}
+
+module.exports = { UpstreamRouter };
@@ -0,0 +1,203 @@
+"use strict";
+
+const grpc = require("@grpc/grpc-js");
+const protobuf = require("protobufjs");
+const descriptor = require("protobufjs/ext/descriptor");
+
+/**
+ * Rebuild a protobufjs Root from a proto-loader package definition.
+ * Every message/enum entry carries the serialized FileDescriptorProtos of the
+ * whole load, so the first entry that has them is enough.
+ */
+function rootFromPackageDefinition(packageDefinition) {
+  const entry = Object.values(packageDefinition || {}).find((e) => e && e.fileDescriptorProtos);
+  const files = entry ? entry.fileDescriptorProtos.map((buf) => descriptor.FileDescriptorProto.decode(buf)) : [];
+  // names in these descriptors already have the loader's casing applied
+  return rootFromFileDescriptors(files, { keepCase: true });
+}
+
+/**
+ * Build a protobufjs Root from decoded FileDescriptorProtos. With
+ * `keepCase: false` field and oneof names are camelCased the same way
+ * proto-loader does when it parses .proto files.
+ */
+function rootFromFileDescriptors(files, { keepCase = false } = {}) {
+  let root = protobuf.Root.fromDescriptor({ file: files });
+  root.resolveAll();
+  restoreMapFields(root);
+  if (!keepCase) {
+    const json = root.toJSON();
+    camelCaseJson(json);
+    root = protobuf.Root.fromJSON(json);
+  }
+  root.resolveAll();
+  return root;
+}
+
+function camelCaseJson(ns) {
+  const { camelCase } = protobuf.util;
+  if (ns.fields) {
+    ns.fields = Object.fromEntries(Object.entries(ns.fields).map(([k, f]) => [camelCase(k), f]));
+  }
+  if (ns.oneofs) {
+    ns.oneofs = Object.fromEntries(Object.entries(ns.oneofs).map(([k, o]) => [camelCase(k), { ...o, oneof: o.oneof.map(camelCase) }]));
+  }
+  for (const nested of Object.values(ns.nested || {})) camelCaseJson(nested);
+}
+
+/**
+ * Root.fromDescriptor keeps maps as `repeated XxxEntry` with a synthetic
+ * nested entry type; turn them back into MapFields so they look like the
+ * protos that were loaded.
+ */
+function restoreMapFields(ns) {
+  for (const nested of ns.nestedArray.slice()) {
+    if (nested instanceof protobuf.Type) {
+      for (const field of nested.fieldsArray.slice()) {
+        const entry = field.resolvedType;
+        if (!field.repeated || !(entry instanceof protobuf.Type) || !entry.options || !entry.options.map_entry) continue;
+        const value = entry.fields.value;
+        const valueType = value.resolvedType ? value.resolvedType.fullName : value.type;
+        nested.remove(field);
+        nested.remove(entry);
+        nested.add(new protobuf.MapField(field.name, field.id, entry.fields.key.type, valueType, field.options, field.comment));
+      }
+    }
+    if (nested.nestedArray) restoreMapFields(nested);
+  }
+}
+
+function invalidArgument(details) {
+  const err = new Error(details);
+  err.code = grpc.status.INVALID_ARGUMENT;
+  err.details = details;
+  return err;
+}
+
+const BASE64_RE = /^[A-Za-z0-9+/_-]*={0,2}$/;
+
+function decodeBase64Strict(v, path) {
+  const s = String(v);
+  const unpadded = s.replace(/=+$/, "");
+  if (!BASE64_RE.test(s) || unpadded.length % 4 === 1) {
+    throw invalidArgument(`Invalid base64 in bytes field "${path}"`);
+  }
+  return Buffer.from(s, s.includes("-") || s.includes("_") ? "base64url" : "base64");
+}
+
+/**
+ * Walk `obj` according to protobufjs `type` and call `fn(value, path)` for
+ * every value held by a `bytes` field (including nested, repeated, map and
+ * oneof members), storing the result back. Mutates `obj` in place and
+ * returns it.
+ */
+function mapBytesFields(type, obj, fn, path = "") {
+  if (!type || obj == null || typeof obj !== "object") return obj;
+  for (const field of type.fieldsArray) {
+    const v = obj[field.name];
+    if (v == null) continue;
+    const fieldPath = path ? `${path}.${field.name}` : field.name;
+    field.resolve();
+    const isBytes = field.type === "bytes";
+    const msgType = field.resolvedType instanceof protobuf.Type ? field.resolvedType : null;
+    if (!isBytes && !msgType) continue;
+    const mapOne = (item, p) => (isBytes ? fn(item, p) : mapBytesFields(msgType, item, fn, p));
+    if (field.map) {
+      if (typeof v !== "object") continue;
+      for (const k of Object.keys(v)) v[k] = mapOne(v[k], `${fieldPath}.${k}`);
+    } else if (field.repeated && Array.isArray(v)) {
+      for (let i = 0; i < v.length; i++) v[i] = mapOne(v[i], `${fieldPath}.${i}`);
+    } else {
+      obj[field.name] = mapOne(v, fieldPath);
+    }
+  }
+  return obj;
+}
+
+/** Replace base64 strings in bytes fields with Buffers (request direction) */
+function decodeBytesFields(type, obj) {
+  return mapBytesFields(type, obj, (v, path) => (typeof v === "string" ? decodeBase64Strict(v, path) : v));
+}
+
+const BYTES_ENCODINGS = ["base64", "hex"];
+
+/** Replace Buffers in bytes fields with base64/hex strings (response direction) */
+function encodeBytesFields(type, obj, encoding = "base64") {
+  return mapBytesFields(type, obj, (v) => (v instanceof Uint8Array ? Buffer.from(v).toString(encoding) : v));
+}
+
+const LONG_TYPES = new Set(["int64", "uint64", "sint64", "fixed64", "sfixed64"]);
+
+/** Default value of a field as the bridge serializes it (defaults: true) */
+function fieldDefault(field, loaderOptions = {}) {
+  if (field.map) return {};
+  if (field.repeated) return [];
+  const resolved = field.resolvedType;
+  if (resolved instanceof protobuf.Enum) {
+    const [name, num] = Object.entries(resolved.values)[0] || [];
+    return loaderOptions.enums === String ? name : num;
+  }
+  if (resolved) return null;
+  if (LONG_TYPES.has(field.type)) {
+    if (loaderOptions.longs === String) return "0";
+    return 0;
+  }
+  switch (field.type) {
+    case "bool": return false;
+    case "string": return "";
+    case "bytes": return "";
+    default: return 0;
+  }
+}
+
+function describeField(field, loaderOptions) {
+  field.resolve();
+  const resolved = field.resolvedType;
+  const out = {
+    name: field.name,
+    number: field.id,
+    type: resolved instanceof protobuf.Enum ? "enum" : resolved ? "message" : field.type,
+  };
+  if (resolved) out.typeName = resolved.fullName.slice(1);
+  if (field.map) out.keyType = field.keyType;
+  else if (field.repeated) out.repeated = true;
+  if (field.partOf) out.oneof = field.partOf.name;
+  out.default = fieldDefault(field, loaderOptions);
+  return out;
+}
+
+/**
+ * Describe the given message types and every message/enum they reference.
+ * Returns { messages: { fqn: {...} }, enums: { fqn: {...} } }
+ */
+function describeTypes(types, loaderOptions = {}) {
+  const messages = {};
+  const enums = {};
+  const visit = (t) => {
+    const name = t.fullName.slice(1);
+    if (t instanceof protobuf.Enum) {
+      if (!enums[name]) enums[name] = { name, values: { ...t.values } };
+      return;
+    }
+    if (messages[name]) return;
+    const desc = { name, fields: [], oneofs: {} };
+    messages[name] = desc;
+    for (const field of t.fieldsArray) {
+      desc.fields.push(describeField(field, loaderOptions));
+      if (field.resolvedType) visit(field.resolvedType);
+    }
+    for (const oneof of t.oneofsArray) desc.oneofs[oneof.name] = oneof.oneof.slice();
+  };
+  for (const t of types) if (t) visit(t);
+  return { messages, enums };
+}
+
+module.exports = {
+  rootFromPackageDefinition,
+  rootFromFileDescriptors,
+  decodeBytesFields,
+  encodeBytesFields,
+  BYTES_ENCODINGS,
+  describeTypes,
+  invalidArgument,
+};
@@ -0,0 +1,196 @@
+"use strict";
+
+const protobuf = require("protobufjs");
+const { invalidArgument, decodeBytesFields, encodeBytesFields } = require("./schema");
+const { hasJsonMapping, toProto3Json, fromProto3Json } = require("./json");
+
+/**
+ * Per-call serialization options (`serialization` in start), applied to the
+ * objects the env's loader produces without loading the protos again:
+ *
+ *   keepCase  field names as written in the protos (snake_case) instead of camelCase
+ *   longs     "String" | "Number": how int64 fields are represented
+ *   enums     "String" | "Number": enum values by name or by number
+ *   defaults  false: leave out fields that hold their default value
+ *   oneofs    false: no virtual property naming the member of a oneof that is set
+ *
+ * Options not given keep the env's loader options (keepCase: false,
+ * longs/enums: String, defaults/oneofs: true).
+ */
+
+const LONG_TYPES = new Set(["int64", "uint64", "sint64", "fixed64", "sfixed64"]);
+const BOOLEAN_OPTIONS = ["keepCase", "defaults", "oneofs"];
+const TYPE_OPTIONS = { string: String, number: Number };
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Uint8Array);
+}
+
+/**
+ * Validate `serialization` from a start message against the env's loader
+ * options. Returns null when there is nothing to change.
+ */
+function parseSerialization(raw, loaderOptions) {
+  if (raw == null) return null;
+  if (!isPlainObject(raw)) throw invalidArgument("serialization must be an object");
+  const opts = {
+    keepCase: !!loaderOptions.keepCase,
+    longs: loaderOptions.longs,
+    enums: loaderOptions.enums,
+    defaults: !!loaderOptions.defaults,
+    oneofs: !!loaderOptions.oneofs,
+  };
+  for (const [key, v] of Object.entries(raw)) {
+    if (v === undefined) continue;
+    if (BOOLEAN_OPTIONS.includes(key)) {
+      if (typeof v !== "boolean") throw invalidArgument(`serialization.${key} must be a boolean`);
+      opts[key] = v;
+    } else if (key === "longs" || key === "enums") {
+      const t = typeof v === "string" && TYPE_OPTIONS[v.toLowerCase()];
+      if (!t) throw invalidArgument(`serialization.${key} must be "String" or "Number"`);
+      opts[key] = t;
+    } else {
+      throw invalidArgument(`Unknown serialization option: ${key}`);
+    }
+  }
+  const same = opts.keepCase === !!loaderOptions.keepCase
+    && opts.longs === loaderOptions.longs
+    && opts.enums === loaderOptions.enums
+    && opts.defaults === !!loaderOptions.defaults
+    && opts.oneofs === !!loaderOptions.oneofs;
+  return same ? null : opts;
+}
+
+// Fields are matched by number, so the two roots' casing does not matter
+function counterpart(root, type) {
+  return root.lookupType(type.fullName);
+}
+
+function mapValues(field, v, fn) {
+  if (field.map) return v && typeof v === "object" ? Object.fromEntries(Object.entries(v).map(([k, item]) => [k, fn(item)])) : v;
+  if (field.repeated && Array.isArray(v)) return v.map(fn);
+  return fn(v);
+}
+
+/**
+ * Request direction, for keepCase calls: rename the original field names of
+ * `obj` to the loader's. Keys that are not fields are left alone.
+ */
+function toLoaderNames(type, obj, originalRoot) {
+  if (!isPlainObject(obj)) return obj;
+  const original = counterpart(originalRoot, type);
+  const out = {};
+  for (const [key, v] of Object.entries(obj)) {
+    const named = original.fields[key];
+    const field = named ? type.fieldsById[named.id] : type.fields[key];
+    if (!field) {
+      out[key] = v;
+      continue;
+    }
+    field.resolve();
+    const t = field.resolvedType;
+    out[field.name] = t instanceof protobuf.Type ? mapValues(field, v, (item) => toLoaderNames(t, item, originalRoot)) : v;
+  }
+  return out;
+}
+
+function isDefault(field, v) {
+  if (field.map) return !v || Object.keys(v).length === 0;
+  if (field.repeated) return Array.isArray(v) && v.length === 0;
+  const t = field.resolvedType;
+  if (t instanceof protobuf.Type) return v == null;
+  if (t instanceof protobuf.Enum) return v === 0 || t.values[v] === 0;
+  if (field.type === "bytes") return v == null || v.length === 0;
+  if (LONG_TYPES.has(field.type)) return String(v) === "0";
+  return v === false || v === "" || v === 0;
+}
+
+function reshapeValue(field, v, ctx) {
+  const t = field.resolvedType;
+  if (t instanceof protobuf.Type) return reshapeMessage(t, v, ctx);
+  if (t instanceof protobuf.Enum) {
+    if (ctx.opts.enums === Number && typeof v === "string" && v in t.values) return t.values[v];
+    if (ctx.opts.enums === String && typeof v === "number" && t.valuesById[v] !== undefined) return t.valuesById[v];
+    return v;
+  }
+  if (LONG_TYPES.has(field.type)) {
+    if (ctx.opts.longs === Number && typeof v === "string") return Number(v);
+    if (ctx.opts.longs === String && typeof v === "number") return String(v);
+  }
+  return v;
+}
+
+function reshapeMessage(type, obj, ctx) {
+  if (!isPlainObject(obj)) return obj;
+  // proto3 JSON forms of well-known types are not field maps
+  if (ctx.proto3 && hasJsonMapping(type)) return obj;
+  const original = ctx.opts.keepCase ? counterpart(ctx.originalRoot, type) : null;
+  const out = {};
+  for (const field of type.fieldsArray) {
+    const v = obj[field.name];
+    if (v === undefined) continue;
+    field.resolve();
+    // oneof members (incl. proto3 `optional`) are only present when set
+    if (!ctx.opts.defaults && !field.partOf && isDefault(field, v)) continue;
+    const name = original ? original.fieldsById[field.id].name : field.name;
+    out[name] = mapValues(field, v, (item) => reshapeValue(field, item, ctx));
+  }
+  if (ctx.opts.oneofs && !ctx.proto3) {
+    for (const oneof of type.oneofsArray) {
+      const member = obj[oneof.name];
+      if (member === undefined) continue;
+      if (!original) {
+        out[oneof.name] = member;
+        continue;
+      }
+      const field = original.fieldsById[type.fields[member].id];
+      out[field.partOf.name] = field.name;
+    }
+  }
+  return out;
+}
+
+/**
+ * Response direction: reshape a loader object of `type` (or its proto3 JSON
+ * form, `proto3: true`) as `opts` from parseSerialization asks.
+ */
+function reshapeResponse(type, obj, opts, { originalRoot, proto3 = false } = {}) {
+  return reshapeMessage(type, obj, { opts, originalRoot, proto3 });
+}
+
+/**
+ * A request payload as grpc-js should encode it: proto3 JSON or the call's
+ * field names mapped to the loader's, and bytes fields (base64 strings, or
+ * Buffers from binary frames) decoded.
+ *
+ * opts: { requestType, json, serialization, originalRoot } of the call
+ */
+function decodeRequest(opts, payload) {
+  if (payload != null && !isPlainObject(payload)) {
+    throw invalidArgument(`Invalid payload: expected an object for ${opts.requestType.fullName.slice(1)}`);
+  }
+  let input = payload;
+  // fromProto3Json takes either field name already
+  if (opts.json === "proto3") input = fromProto3Json(opts.requestType, input);
+  else if (opts.serialization && opts.serialization.keepCase) input = toLoaderNames(opts.requestType, input, opts.originalRoot);
+  return decodeBytesFields(opts.requestType, { ...input });
+}
+
+/**
+ * A response message as the call asked for it: proto3 JSON, reshaped per
+ * `serialization`, and bytes fields as `bytesEncoding` strings unless
+ * `keepBytes` (binary frames carry the Buffers as they are).
+ * Throws when the message has no proto3 JSON form.
+ *
+ * opts: { responseType, json, serialization, originalRoot, bytesEncoding, loaderOptions } of the call
+ */
+function encodeResponse(opts, payload, { keepBytes = false } = {}) {
+  const proto3 = opts.json === "proto3";
+  let out = proto3 ? toProto3Json(opts.responseType, payload, { loaderOptions: opts.loaderOptions }) : payload;
+  // bytes fields are found by the loader's field names, so encode before reshaping
+  if (!keepBytes) out = encodeBytesFields(opts.responseType, out, opts.bytesEncoding);
+  if (opts.serialization) out = reshapeResponse(opts.responseType, out, opts.serialization, { originalRoot: opts.originalRoot, proto3 });
+  return out;
+}
+
+module.exports = { parseSerialization, toLoaderNames, reshapeResponse, decodeRequest, encodeResponse };
@@ -0,0 +1,190 @@
+"use strict";
+
+const protobuf = require("protobufjs");
+
+const LONG_TYPES = new Set(["int64", "uint64", "sint64", "fixed64", "sfixed64"]);
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+function propName(name) {
+  return IDENTIFIER_RE.test(name) ? name : JSON.stringify(name);
+}
+
+function refName(type, suffix = "") {
+  return type.fullName.slice(1) + suffix;
+}
+
+const NON_FINITE = '"NaN" | "Infinity" | "-Infinity"';
+
+// Well-known types in proto3 JSON mode: [sent, received]
+const WELL_KNOWN_JSON = {
+  "google.protobuf.Timestamp": ["string", "string"],
+  "google.protobuf.Duration": ["string", "string"],
+  "google.protobuf.FieldMask": ["string", "string"],
+  "google.protobuf.Struct": ["{ [key: string]: unknown }", "{ [key: string]: unknown }"],
+  "google.protobuf.Value": ["unknown", "unknown"],
+  "google.protobuf.ListValue": ["unknown[]", "unknown[]"],
+  "google.protobuf.Any": ['{ "@type": string; [key: string]: unknown }', '{ "@type"?: string; [key: string]: unknown }'],
+  "google.protobuf.DoubleValue": [`number | ${NON_FINITE}`, `number | ${NON_FINITE}`],
+  "google.protobuf.FloatValue": [`number | ${NON_FINITE}`, `number | ${NON_FINITE}`],
+  "google.protobuf.Int64Value": ["string | number", "string"],
+  "google.protobuf.UInt64Value": ["string | number", "string"],
+  "google.protobuf.Int32Value": ["number", "number"],
+  "google.protobuf.UInt32Value": ["number", "number"],
+  "google.protobuf.BoolValue": ["boolean", "boolean"],
+  "google.protobuf.StringValue": ["string", "string"],
+  "google.protobuf.BytesValue": ["string", "string"],
+};
+
+/**
+ * TypeScript declarations for every message, enum and method of `root`, as
+ * the bridge serializes them with `loaderOptions` (GrpcEnv's by default).
+ *
+ * Each message gets two interfaces, named like proto-loader-gen-types does:
+ *   Foo          what may be sent (start / write payloads): everything optional,
+ *                int64 as string or number, enums by name or number
+ *   Foo__Output  what the bridge sends back: with `defaults`, every non-oneof
+ *                field is present; message fields are null when unset
+ *
+ * The `Methods` interface maps "pkg.Service/Method" to its request and
+ * response types and streaming flags, for BridgeClient<Methods>.
+ *
+ * options:
+ *   bytes  type of bytes fields in responses: "Uint8Array" (binary frames,
+ *          the client's default) or "string" (base64/hex in JSON)
+ *   json   "proto3": shapes of the canonical JSON mapping (`json: "proto3"`
+ *          calls): well-known types as strings / plain JSON, no oneof
+ *          discriminators
+ */
+function generateTypings(root, loaderOptions = {}, options = {}) {
+  const bytesOut = options.bytes === "string" ? "string" : "Uint8Array";
+  const proto3 = options.json === "proto3";
+  const lines = [
+    "// Generated by grpc-ws-bridge (src/typegen.js) from the loaded protos. Do not edit.",
+    "",
+  ];
+  const methods = [];
+
+  function scalar(field, output) {
+    const t = field.type;
+    if (LONG_TYPES.has(t)) {
+      if (!output) return "string | number";
+      if (loaderOptions.longs === String) return "string";
+      if (loaderOptions.longs === Number) return "number";
+      return "string | number";
+    }
+    switch (t) {
+      case "bool": return "boolean";
+      case "string": return "string";
+      case "bytes": return output ? bytesOut : "string | Uint8Array";
+      case "double":
+      case "float":
+        return proto3 ? `number | ${NON_FINITE}` : "number";
+      default: return "number";
+    }
+  }
+
+  // type of a message reference; well-known types have their own JSON form in proto3 mode
+  function messageRef(type, output) {
+    const wkt = proto3 && WELL_KNOWN_JSON[type.fullName.slice(1)];
+    if (wkt) return wkt[output ? 1 : 0];
+    return refName(type, output ? "__Output" : "");
+  }
+
+  function valueType(field, output) {
+    const resolved = field.resolvedType;
+    if (resolved instanceof protobuf.Enum) {
+      if (proto3 && resolved.fullName === ".google.protobuf.NullValue") return "null";
+      if (!output) return `${refName(resolved)} | number`;
+      return loaderOptions.enums === String ? refName(resolved) : "number";
+    }
+    if (resolved) return messageRef(resolved, output);
+    return scalar(field, output);
+  }
+
+  function fieldLine(field, output, indent) {
+    field.resolve();
+    const value = valueType(field, output);
+    let type;
+    if (field.map) type = `{ [key: string]: ${value} }`;
+    else if (field.repeated) type = value.includes(" ") ? `(${value})[]` : `${value}[]`;
+    else if (field.resolvedType instanceof protobuf.Type && value !== "unknown") type = `${value} | null`;
+    else type = value;
+    // oneof members (incl. proto3 `optional`) are only present when set
+    const optional = !output || !loaderOptions.defaults || !!field.partOf;
+    return `${indent}${propName(field.name)}${optional ? "?" : ""}: ${type};`;
+  }
+
+  function emitMessage(type, indent) {
+    for (const output of [false, true]) {
+      const name = type.name + (output ? "__Output" : "");
+      lines.push(`${indent}export interface ${name} {`);
+      for (const field of type.fieldsArray) lines.push(fieldLine(field, output, `${indent}  `));
+      if (output && loaderOptions.oneofs && !proto3) {
+        // virtual property naming the member that is set
+        for (const oneof of type.oneofsArray) {
+          lines.push(`${indent}  ${propName(oneof.name)}?: ${oneof.oneof.map((n) => JSON.stringify(n)).join(" | ")};`);
+        }
+      }
+      lines.push(`${indent}}`);
+    }
+  }
+
+  // value names: requests take them with either `enums` setting
+  function emitEnum(en, indent) {
+    const values = Object.keys(en.values).map((n) => JSON.stringify(n));
+    lines.push(`${indent}export type ${en.name} = ${values.length > 0 ? values.join(" | ") : "never"};`);
+  }
+
+  function emitService(svc) {
+    for (const method of svc.methodsArray) {
+      method.resolve();
+      methods.push({
+        key: `${refName(svc)}/${method.name}`,
+        request: messageRef(method.resolvedRequestType, false),
+        response: messageRef(method.resolvedResponseType, true),
+        requestStream: !!method.requestStream,
+        responseStream: !!method.responseStream,
+      });
+    }
+  }
+
+  function hasTypes(ns) {
+    return ns.nestedArray.some((n) => n instanceof protobuf.Type || n instanceof protobuf.Enum || (n.nestedArray && hasTypes(n)));
+  }
+
+  // nested types of a message live in a namespace of the same name
+  function emitNested(ns, indent) {
+    for (const nested of ns.nestedArray) {
+      if (nested instanceof protobuf.Service) {
+        emitService(nested);
+        continue;
+      }
+      if (nested instanceof protobuf.Enum) emitEnum(nested, indent);
+      else if (nested instanceof protobuf.Type) emitMessage(nested, indent);
+      if (nested.nestedArray && hasTypes(nested)) {
+        lines.push(`${indent}export namespace ${nested.name} {`);
+        emitNested(nested, `${indent}  `);
+        lines.push(`${indent}}`);
+      } else if (nested.nestedArray) {
+        emitNested(nested, indent);
+      }
+    }
+  }
+
+  root.resolveAll();
+  emitNested(root, "");
+
+  lines.push("", "export interface Methods {");
+  for (const m of methods.sort((a, b) => a.key.localeCompare(b.key))) {
+    lines.push(`  ${JSON.stringify(m.key)}: {`);
+    lines.push(`    request: ${m.request};`);
+    lines.push(`    response: ${m.response};`);
+    lines.push(`    requestStream: ${m.requestStream};`);
+    lines.push(`    responseStream: ${m.responseStream};`);
+    lines.push("  };");
+  }
+  lines.push("}", "");
+  return lines.join("\n");
+}
+
+module.exports = { generateTypings };
@@ -1,113 +1,439 @@
 "use strict";
 
-const http = require("http");
+const crypto = require("crypto");
 const WebSocket = require("ws");
 const yargs = require("yargs");
 const { hideBin } = require("yargs/helpers");
 const grpc = require("@grpc/grpc-js");
 
 const { GrpcEnv } = require("./grpc/factory");
-const { objectToMetadata, metadataToObject, statusObject } = require("./utils/metadata");
+const { ProtoReloader } = require("./grpc/reload");
+const { UpstreamRouter } = require("./grpc/router");
+const { createAuthenticator } = require("./auth");
+const metrics = require("./metrics");
+const tls = require("./tls");
+const { Channel, SessionStore } = require("./session");
+const { loadConfigFile } = require("./config");
+const { checkHealth } = require("./grpc/health");
+const {
+  objectToMetadata,
+  metadataToObject,
+  statusObject,
+  encodeGrpcMessage,
+  compileMetadataRules,
+  applyMetadataRules,
+} = require("./utils/metadata");
+const { BYTES_ENCODINGS, describeTypes } = require("./grpc/schema");
+const { JSON_MODES } = require("./grpc/json");
+const { parseSerialization, decodeRequest, encodeResponse } = require("./grpc/serialization");
+const { isBinaryFrame, decodeFrame, encodeFrame, hasBuffers } = require("./utils/frames");
+const grpcWeb = require("./utils/grpc-web");
+const { JSON_CODEC, selectProtocol, codecFor } = require("./utils/codecs");
+const { Logger, LOG_LEVELS } = require("./utils/logger");
+const { TokenBucket } = require("./utils/rate-limit");
 
-function log(...args) {
-  console.log(new Date().toISOString(), "[grpc-ws-bridge]", ...args);
-}
+// Structured parts of --config (routing, channel options, default metadata); the rest are flag defaults
+const ROUTING_KEYS = ["upstreams", "defaultUpstream", "allowRawTargets", "channelOptions", "metadata"];
+let fileConfig = {};
+
+const argv = yargs(hideBin(process.argv))
+  .config("config", "JSON or YAML config file; keys are flag names (plus upstreams, defaultUpstream, allowRawTargets, channelOptions, metadata), ${ENV} is interpolated, CLI flags override", (file) => {
+    const data = loadConfigFile(file);
+    const flags = {};
+    for (const [k, v] of Object.entries(data)) {
+      if (ROUTING_KEYS.includes(k)) fileConfig[k] = v;
+      else flags[k] = v;
+    }
+    return flags;
+  })
+  .option("ws-port", { type: "number", default: 8080, describe: "WebSocket server port" })
+  .option("server-tls-cert", { type: "string", describe: "PEM certificate (chain) for serving HTTPS/wss:// (with --server-tls-key)" })
+  .option("server-tls-key", { type: "string", describe: "PEM private key for serving HTTPS/wss://" })
+  .option("server-tls-client-ca", { type: "string", describe: "CA bundle; verify client certificates against it" })
+  .option("server-tls-client-auth", { type: "string", choices: ["require", "optional"], default: "require", describe: "With --server-tls-client-ca: reject clients without a certificate, or only those with an invalid one" })
+  .option("server-tls-reload-interval", { type: "number", default: 5000, describe: "Poll interval in ms for reloading rotated server TLS files (0 = off)" })
+  .option("proto", { type: "array", describe: "Path(s) to .proto file(s)", default: [] })
+  .option("include", { type: "array", describe: "Include directories for imports", default: [] })
+  .option("default-target", { type: "string", default: "localhost:50051", describe: "Default gRPC target host:port" })
+  .option("routes", { type: "string", describe: "JSON file declaring named upstreams and allowed services (disables arbitrary targets)" })
+  .option("secure", { type: "boolean", default: false, describe: "Use TLS for gRPC connection" })
+  .option("tls-ca", { type: "string", describe: "Root CA file for TLS" })
+  .option("tls-cert", { type: "string", describe: "Client certificate file for mTLS to the default target (with --tls-key)" })
+  .option("tls-key", { type: "string", describe: "Client private key file for mTLS to the default target" })
+  .option("tls-server-name", { type: "string", describe: "Override the TLS server name (and :authority) of the default target" })
+  .option("reflection", { type: "boolean", default: false, describe: "Resolve methods via the target's gRPC server reflection (falls back to --proto)" })
+  .option("reflection-timeout", { type: "number", default: 5000, describe: "Timeout in ms for fetching descriptors via reflection" })
+  .option("default-timeout", { type: "number", default: 0, describe: "Default per-call timeout in ms when start carries none (0 = no deadline)" })
+  .option("max-timeout", { type: "number", default: 0, describe: "Upper bound in ms for any per-call timeout (0 = unlimited)" })
+  .option("metadata-rules", { type: "string", describe: "JSON file mapping upgrade headers, cookies, peer and claims into gRPC metadata" })
+  .option("ws-high-water", { type: "number", default: 1 << 20, describe: "Pause gRPC response streams while the WebSocket send buffer exceeds this many bytes" })
+  .option("max-calls-per-connection", { type: "number", default: 100, describe: "Concurrent calls allowed on one WebSocket (0 = unlimited)" })
+  .option("max-connections-per-ip", { type: "number", default: 0, describe: "Concurrent WebSocket connections allowed from one client IP (0 = unlimited)" })
+  .option("max-message-bytes", { type: "number", default: 4 << 20, describe: "Largest inbound WebSocket message; bigger ones are answered with RESOURCE_EXHAUSTED" })
+  .option("start-rate", { type: "number", default: 0, describe: "start messages per second per connection (token bucket, 0 = unlimited)" })
+  .option("start-burst", { type: "number", describe: "Bucket size for --start-rate (default: the rate)" })
+  .option("write-rate", { type: "number", default: 0, describe: "write messages per second per connection (token bucket, 0 = unlimited)" })
+  .option("write-burst", { type: "number", describe: "Bucket size for --write-rate (default: the rate)" })
+  .option("api-keys-file", { type: "string", describe: "JSON file of accepted API keys (array, or object key => claims)" })
+  .option("jwt-secret-file", { type: "string", describe: "HMAC secret file for HS256/384/512 JWTs" })
+  .option("jwt-public-key", { type: "string", describe: "PEM public key file for RS/PS/ES JWTs" })
+  .option("jwks-file", { type: "string", describe: "Local JWKS file with public keys for JWTs" })
+  .option("jwt-issuer", { type: "string", describe: "Required JWT iss claim" })
+  .option("jwt-audience", { type: "string", describe: "Required JWT aud claim" })
+  .option("auth-verifier", { type: "string", describe: "Module exporting verify(req, credentials) and optional authorize(identity, call)" })
+  .option("health-check-upstreams", { type: "boolean", default: true, describe: "Probe upstreams with grpc.health.v1.Health/Check in /readyz" })
+  .option("health-timeout", { type: "number", default: 2000, describe: "Timeout in ms for each upstream health probe" })
+  .option("sessions", { type: "boolean", default: false, describe: "Allow resumable sessions: calls survive a reconnect within --session-grace" })
+  .option("session-grace", { type: "number", default: 30000, describe: "How long in ms a disconnected session keeps its calls" })
+  .option("session-buffer-bytes", { type: "number", default: 4 << 20, describe: "Unacknowledged outbound bytes kept per session for replay" })
+  .option("watch-protos", { type: "boolean", default: false, describe: "Reload protos when .proto files under --proto/--include directories change" })
+  .option("admin-token", { type: "string", describe: "Bearer token enabling POST /admin/reload (reload protos)" })
+  .option("http-calls", { type: "boolean", default: true, describe: "Accept POST /pkg.Service/Method with a JSON body (unary; server streaming as Server-Sent Events)" })
+  .option("grpc-web", { type: "boolean", default: true, describe: "Accept gRPC-Web (application/grpc-web[-text]) unary and server-streaming calls" })
+  .option("http-max-calls-per-ip", { type: "number", default: 0, describe: "Concurrent HTTP calls, and separately gRPC-Web calls, allowed from one client IP (0 = unlimited)" })
+  .option("http-start-rate", { type: "number", default: 0, describe: "HTTP (and separately gRPC-Web) calls started per second per client IP (token bucket, 0 = unlimited)" })
+  .option("http-start-burst", { type: "number", describe: "Bucket size for --http-start-rate (default: the rate)" })
+  .option("cors-origin", { type: "array", default: [], describe: "Origins allowed to make HTTP and gRPC-Web calls from browsers (\"*\" for any)" })
+  .option("metrics", { type: "boolean", default: true, describe: "Expose Prometheus metrics at /metrics" })
+  .option("log-level", { type: "string", choices: LOG_LEVELS, default: "info", describe: "Log level (debug: call lifecycle, trace: message payloads)" })
+  .option("log-format", { type: "string", choices: ["text", "json"], default: "text", describe: "Log output format; json writes one object per line" })
+  .option("redact-metadata", { type: "array", default: [], describe: "Extra metadata keys to redact in logs (\"prefix*\" allowed); credentials are always redacted" })
+  .option("redact-fields", { type: "array", default: [], describe: "Payload field names to redact in logs, at any depth" })
+  .option("verbose", { type: "boolean", default: false, describe: "Shorthand for --log-level debug" })
+  .check((a) => (a.proto.length > 0 || a.reflection ? true : "Either --proto or --reflection is required"))
+  .help()
+  .alias("h", "help")
+  .parse();
+
+const logger = new Logger({
+  level: argv.verbose && argv["log-level"] === "info" ? "debug" : argv["log-level"],
+  format: argv["log-format"],
+  redactKeys: argv["redact-metadata"].map(String),
+  redactFields: argv["redact-fields"].map(String),
+});
+
+// protos.current is the GrpcEnv new calls use; SIGHUP, --watch-protos or POST /admin/reload swap it
+const protos = new ProtoReloader(new GrpcEnv(argv.proto, argv.include, {}, {
+  reflection: argv.reflection,
+  reflectionTimeoutMs: argv["reflection-timeout"],
+}), { log: logger });
+if (argv["watch-protos"]) protos.watch();
+process.on("SIGHUP", () => protos.reload("SIGHUP"));
+
+// Settings for raw host:port targets (--default-target, or clients when raw targets are allowed)
+const rawDefaults = {
+  credentials: GrpcEnv.makeCredentials({
+    secure: argv.secure,
+    tlsCa: argv["tls-ca"],
+    tlsCert: argv["tls-cert"],
+    tlsKey: argv["tls-key"],
+  }),
+  channelOptions: GrpcEnv.makeChannelOptions({ serverName: argv["tls-server-name"], channelOptions: fileConfig.channelOptions }),
+  metadata: fileConfig.metadata,
+};
+if (argv.routes && fileConfig.upstreams) throw new Error("Declare upstreams either in --routes or in --config, not both");
+const router = argv.routes
+  ? UpstreamRouter.fromFile(argv.routes, rawDefaults)
+  : fileConfig.upstreams
+    ? new UpstreamRouter(fileConfig, rawDefaults)
+    : UpstreamRouter.permissive(argv["default-target"], rawDefaults);
+
+const metadataRules = compileMetadataRules(argv["metadata-rules"] ? loadConfigFile(argv["metadata-rules"]) : {});
+
+const auth = createAuthenticator({
+  apiKeysFile: argv["api-keys-file"],
+  jwtSecretFile: argv["jwt-secret-file"],
+  jwtPublicKeyFile: argv["jwt-public-key"],
+  jwksFile: argv["jwks-file"],
+  jwtIssuer: argv["jwt-issuer"],
+  jwtAudience: argv["jwt-audience"],
+  verifier: argv["auth-verifier"],
+});
+
+const connectionsByIp = new Map(); // ip => open WebSocket count
 
-function dlog(...args) {
-  // argv is defined below; this function is only called after argv is parsed
+// Runs at upgrade time; the verified identity rides along on req for the connection handler
+function verifyClient(info, cb) {
+  const ip = info.req.socket.remoteAddress;
+  // ?json= sets the connection's default JSON mapping
+  let json;
   try {
-    if (argv && argv.verbose) log("[DEBUG]", ...args);
-  } catch (_) { }
+    json = new URL(info.req.url || "/", "http://localhost").searchParams.get("json");
+  } catch (_) {
+    return cb(false, 400, "Bad Request");
+  }
+  if (json !== null && !JSON_MODES.includes(json)) return cb(false, 400, `Unsupported json mode: ${json}`);
+  info.req.jsonMode = json;
+  const maxPerIp = argv["max-connections-per-ip"];
+  if (maxPerIp > 0 && (connectionsByIp.get(ip) || 0) >= maxPerIp) {
+    logger.warn("Rejected WS upgrade: too many connections", { peer: ip });
+    metrics.rejected.inc({ reason: "connections_per_ip" });
+    return cb(false, 429, "Too Many Connections");
+  }
+  if (!auth.enabled) return cb(true);
+  auth.authenticate(info.req).then((identity) => {
+    if (!identity) {
+      logger.warn("Rejected WS upgrade: unauthenticated", { peer: info.req.socket.remoteAddress });
+      return cb(false, 401, "Unauthorized");
+    }
+    info.req.identity = identity;
+    cb(true);
+  }, (err) => {
+    logger.warn("Rejected WS upgrade: verifier failed", { peer: info.req.socket.remoteAddress, error: err });
+    cb(false, 401, "Unauthorized");
+  });
 }
 
-function preview(obj, max = 400) {
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/** Readiness: protos load, upstreams answer grpc.health.v1 Check; channel states are informational */
+async function readiness() {
+  const report = { ready: true, protos: { loaded: false }, upstreams: [], channels: [] };
+  const env = protos.current;
   try {
-    const s = typeof obj === "string" ? obj : JSON.stringify(obj);
-    return s.length > max ? s.slice(0, max) + "…" : s;
+    env.load();
+    report.protos = { loaded: true, services: env.describeServices().length, reflection: !!argv.reflection, ...protos.status() };
   } catch (e) {
-    return String(obj);
+    report.ready = false;
+    report.protos = { loaded: false, error: e.message, ...protos.status() };
   }
+  if (argv["health-check-upstreams"]) {
+    const upstreams = router.configured().filter((up) => up.healthCheck);
+    report.upstreams = await Promise.all(upstreams.map(async (up) => {
+      const r = await checkHealth(up.address, up.credentials, {
+        service: up.healthService,
+        timeoutMs: argv["health-timeout"],
+        channelOptions: up.channelOptions,
+      });
+      if (!r.ok) report.ready = false;
+      return { name: up.name, address: up.address, status: r.status, error: r.error || undefined };
+    }));
+  }
+  report.channels = env.channelStates();
+  return report;
 }
 
-function ensureArray(x) {
-  if (x == null) return [];
-  return Array.isArray(x) ? x : [x];
+function adminAuthorized(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers["authorization"] || "");
+  if (!m) return false;
+  const given = crypto.createHash("sha256").update(m[1].trim()).digest();
+  const expected = crypto.createHash("sha256").update(argv["admin-token"]).digest();
+  return crypto.timingSafeEqual(given, expected);
 }
 
-function decodeBase64ToBuffer(v) {
-  if (typeof v !== "string") return v;
-  try { return Buffer.from(v, "base64"); } catch (_) { return v; }
-}
+const HTTP_CALL_PATH = /^\/([^/]+)\/([^/]+)$/;
 
-function setByPath(root, pathParts, transform) {
-  if (!root) return;
-  let obj = root;
-  for (let i = 0; i < pathParts.length - 1; i++) {
-    const k = pathParts[i];
-    if (obj == null) return;
-    obj = obj[k];
+// Request listener: nothing a request does may reject out of it
+async function handleHttp(req, res) {
+  let url;
+  try {
+    url = new URL(req.url || "/", "http://localhost");
+  } catch (_) {
+    res.writeHead(400, { "Content-Type": "text/plain" });
+    return res.end("Bad Request");
   }
-  const last = pathParts[pathParts.length - 1];
-  if (obj && Object.prototype.hasOwnProperty.call(obj, last)) {
-    obj[last] = transform(obj[last]);
+  try {
+    await routeHttp(req, res, url);
+  } catch (e) {
+    logger.error("HTTP request failed", { method: req.method, path: url.pathname, error: e });
+    if (res.headersSent) return res.destroy();
+    res.writeHead(500, { "Content-Type": "text/plain" });
+    res.end("Internal Server Error");
   }
 }
 
-function decodeBinaryFields(obj, fieldPaths = []) {
-  for (const p of ensureArray(fieldPaths)) {
-    const parts = String(p).split(".").filter(Boolean);
-    if (parts.length > 0) setByPath(obj, parts, decodeBase64ToBuffer);
+async function routeHttp(req, res, { pathname, searchParams }) {
+  if (req.method === "GET" && pathname === "/healthz") {
+    return sendJson(res, 200, { status: "ok" });
   }
-}
-
-function decodeKnownBytesHeuristics(obj) {
-  if (obj == null || typeof obj !== "object") return;
-  const keys = Object.keys(obj);
-  for (const k of keys) {
-    const v = obj[k];
-    if (v == null) continue;
-    if (typeof v === "string" && (k === "audio" || k === "audio_content")) {
-      obj[k] = decodeBase64ToBuffer(v);
-    } else if (Array.isArray(v)) {
-      for (const item of v) decodeKnownBytesHeuristics(item);
-    } else if (typeof v === "object") {
-      decodeKnownBytesHeuristics(v);
+  if (req.method === "GET" && pathname === "/readyz") {
+    const report = await readiness();
+    return sendJson(res, report.ready ? 200 : 503, report);
+  }
+  if (argv["admin-token"] && req.method === "POST" && pathname === "/admin/reload") {
+    if (!adminAuthorized(req)) return sendJson(res, 401, { error: "Unauthorized" });
+    const ok = protos.reload("admin");
+    return sendJson(res, ok ? 200 : 500, { reloaded: ok, ...protos.status() });
+  }
+  if (argv.metrics && req.method === "GET" && pathname === "/metrics") {
+    try {
+      const body = await metrics.registry.metrics();
+      res.writeHead(200, { "Content-Type": metrics.registry.contentType });
+      res.end(body);
+    } catch (e) {
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end(String(e));
     }
+    return;
   }
+  const call = (argv["http-calls"] || argv["grpc-web"]) && HTTP_CALL_PATH.exec(pathname);
+  if (call && req.method === "OPTIONS") return sendPreflight(req, res);
+  if (call && req.method === "POST") {
+    const method = `${call[1]}/${call[2]}`;
+    allowOrigin(req, res);
+    if (grpcWeb.isGrpcWebRequest(req)) {
+      if (argv["grpc-web"]) return handleGrpcWebCall(req, res, method);
+    } else if (argv["http-calls"]) {
+      return handleHttpCall(req, res, method, searchParams);
+    }
+  }
+  res.writeHead(404, { "Content-Type": "text/plain" });
+  res.end("Not Found");
 }
 
-const argv = yargs(hideBin(process.argv))
-  .option("ws-port", { type: "number", default: 8080, describe: "WebSocket server port" })
-  .option("proto", { type: "array", describe: "Path(s) to .proto file(s)", demandOption: true })
-  .option("include", { type: "array", describe: "Include directories for imports", default: [] })
-  .option("default-target", { type: "string", default: "localhost:50051", describe: "Default gRPC target host:port" })
-  .option("secure", { type: "boolean", default: false, describe: "Use TLS for gRPC connection" })
-  .option("tls-ca", { type: "string", describe: "Root CA file for TLS" })
-  .option("verbose", { type: "boolean", default: true, describe: "Enable verbose debug logs" })
-  .help()
-  .alias("h", "help")
-  .parse();
-
-const env = new GrpcEnv(argv.proto, argv.include);
-
-const server = http.createServer();
-const wss = new WebSocket.Server({ server });
+const server = tls.createServer(handleHttp, {
+  certFile: argv["server-tls-cert"],
+  keyFile: argv["server-tls-key"],
+  clientCaFile: argv["server-tls-client-ca"],
+  clientAuth: argv["server-tls-client-auth"],
+  reloadIntervalMs: argv["server-tls-reload-interval"],
+  log: logger,
+});
+// Messages over --max-message-bytes are refused with an error the client can
+// match to its call; only far bigger ones close the connection (1009)
+const MAX_PAYLOAD_FACTOR = 4;
+const wss = new WebSocket.Server({
+  server,
+  verifyClient,
+  handleProtocols: selectProtocol,
+  maxPayload: argv["max-message-bytes"] > 0 ? argv["max-message-bytes"] * MAX_PAYLOAD_FACTOR : 0,
+});
 
-// Map ws => { calls: Map<callId, activeCall> }
+// Keyed by Channel (see ./session), which outlives the socket in session mode
+// Map ws => {
+//   calls: Map<callId, activeCall>, queue: Promise (in-order message processing), identity, upgrade,
+//   codec: envelope encoding negotiated for the connection (./utils/codecs),
+//   wsPaused: Set<activeCall> paused for WS send buffer, drainTimer, log: logger bound to the connection id,
+//   buckets: { start, write } token buckets
+// }
 const wsState = new WeakMap();
 
 function getWsState(ws) {
-  if (!wsState.has(ws)) wsState.set(ws, { calls: new Map() });
+  if (!wsState.has(ws)) {
+    wsState.set(ws, {
+      calls: new Map(),
+      queue: Promise.resolve(),
+      identity: null,
+      upgrade: { headers: {}, peer: null },
+      json: null, // JSON mapping for calls without their own `json`
+      codec: JSON_CODEC,
+      wsPaused: new Set(),
+      drainTimer: null,
+      log: logger,
+      buckets: {
+        start: new TokenBucket(argv["start-rate"], argv["start-burst"]),
+        write: new TokenBucket(argv["write-rate"], argv["write-burst"]),
+      },
+    });
+  }
   return wsState.get(ws);
 }
 
+// In session mode every outbound message carries a sequence number for ack/replay
 function send(ws, msg) {
   if (ws.readyState === WebSocket.OPEN) {
-    dlog("send", { type: msg.type, callId: msg.callId, preview: preview({ ...msg, payload: msg.payload }, 200) });
-    ws.send(JSON.stringify(msg));
+    const { codec, log } = getWsState(ws);
+    const seq = ws.session ? ws.session.nextSeq() : undefined;
+    log.trace("send", { type: msg.type, callId: msg.callId, seq, payload: msg.payload });
+    const data = codec.encode(seq ? { ...msg, seq } : msg);
+    metrics.bytes.inc({ direction: "out" }, Buffer.byteLength(data));
+    ws.send(data, { binary: codec.binary, seq });
   }
 }
 
+function sendData(ws, callId, payload, opts) {
+  // MessagePack/CBOR carry bytes fields as they are
+  const nativeBytes = getWsState(ws).codec.binary;
+  let out = payload;
+  if (opts) {
+    try {
+      out = encodeResponse(opts, payload, { keepBytes: nativeBytes || opts.binaryResponses });
+    } catch (e) {
+      // e.g. an Any whose bytes do not decode as its @type
+      return send(ws, { type: "error", callId, error: { code: grpc.status.INTERNAL, details: `Response not representable as proto3 JSON: ${e.message}`, metadata: {} } });
+    }
+  }
+  if (opts && opts.binaryResponses && !nativeBytes && hasBuffers(out)) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    const seq = ws.session ? ws.session.nextSeq() : undefined;
+    const frame = encodeFrame({ type: "data", callId, seq, payload: out });
+    getWsState(ws).log.trace("send:binary", { type: "data", callId, seq, bytes: frame.length });
+    metrics.messages.inc({ direction: "out" });
+    metrics.bytes.inc({ direction: "out" }, frame.length);
+    ws.send(frame, { binary: true, seq });
+    return;
+  }
+  metrics.messages.inc({ direction: "out" });
+  send(ws, { type: "data", callId, payload: out });
+}
+
+const WS_DRAIN_POLL_MS = 20;
+
+/** Pause/resume a response stream; it runs only while no reason ("ws", "credit") holds it */
+function setFlowPaused(entry, reason, paused) {
+  if (paused) entry.paused.add(reason);
+  else entry.paused.delete(reason);
+  if (entry.paused.size > 0) {
+    if (!entry.call.isPaused()) entry.call.pause();
+  } else if (entry.call.isPaused()) {
+    entry.call.resume();
+  }
+}
+
+/**
+ * Pause `entry` while the WebSocket send buffer is above --ws-high-water and
+ * resume every paused call of the connection once it falls below half of it.
+ * ws has no drain event for bufferedAmount, so poll while anything is paused.
+ */
+function watchWsBuffer(ws, entry) {
+  const high = argv["ws-high-water"];
+  if (ws.bufferedAmount <= high) return;
+  const state = getWsState(ws);
+  setFlowPaused(entry, "ws", true);
+  state.wsPaused.add(entry);
+  if (state.drainTimer) return;
+  state.drainTimer = setInterval(() => {
+    if (ws.readyState === WebSocket.OPEN && ws.bufferedAmount > high / 2) return;
+    clearInterval(state.drainTimer);
+    state.drainTimer = null;
+    for (const e of state.wsPaused) setFlowPaused(e, "ws", false);
+    state.wsPaused.clear();
+  }, WS_DRAIN_POLL_MS);
+}
+
+/** Called after each response message of a server/bidi stream went out */
+function afterDeliver(ws, entry) {
+  if (entry.credits != null) {
+    entry.credits -= 1;
+    if (entry.credits <= 0) setFlowPaused(entry, "credit", true);
+  }
+  watchWsBuffer(ws, entry);
+}
+
+/** Write to a client/bidi stream; tell the client to hold off while gRPC buffers are full */
+function writeToCall(ws, callId, entry, obj) {
+  metrics.messages.inc({ direction: "in" });
+  const ok = entry.call.write(obj);
+  if (!ok && !entry.writeBlocked) {
+    entry.writeBlocked = true;
+    send(ws, { type: "pause", callId });
+    entry.call.once("drain", () => {
+      entry.writeBlocked = false;
+      send(ws, { type: "drain", callId });
+    });
+  }
+}
+
+function callError(code, details) {
+  const err = new Error(details);
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
 function asErrorPayload(err) {
   // grpc errors have code, details, metadata
   if (typeof err === "object" && err && ("code" in err || "details" in err)) {
@@ -116,7 +442,73 @@ function asErrorPayload(err) {
   return { code: grpc.status.UNKNOWN, details: String(err), metadata: {} };
 }
 
-function onStart(ws, msg) {
+// latest time a Date can hold
+const MAX_DATE_MS = 8.64e15;
+
+/**
+ * Translate `timeoutMs` / `deadline` (epoch ms or date string) from a start
+ * message into a gRPC deadline, applying --default-timeout and --max-timeout.
+ * Returns a Date, or undefined for no deadline.
+ */
+function callDeadline(msg) {
+  const now = Date.now();
+  let timeoutMs;
+  if (msg.timeoutMs != null) {
+    timeoutMs = Number(msg.timeoutMs);
+    if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) throw callError(grpc.status.INVALID_ARGUMENT, `Invalid timeoutMs: ${msg.timeoutMs}`);
+  } else if (msg.deadline != null) {
+    const at = typeof msg.deadline === "number" ? msg.deadline : Date.parse(msg.deadline);
+    if (!Number.isFinite(at)) throw callError(grpc.status.INVALID_ARGUMENT, `Invalid deadline: ${msg.deadline}`);
+    if (Math.abs(at) > MAX_DATE_MS) throw callError(grpc.status.INVALID_ARGUMENT, `deadline out of range: ${msg.deadline}`);
+    timeoutMs = at - now;
+  } else if (argv["default-timeout"] > 0) {
+    timeoutMs = argv["default-timeout"];
+  }
+  const max = argv["max-timeout"];
+  if (max > 0 && (timeoutMs == null || timeoutMs > max)) timeoutMs = max;
+  if (timeoutMs != null && now + timeoutMs > MAX_DATE_MS) throw callError(grpc.status.INVALID_ARGUMENT, `Timeout out of range: ${timeoutMs} ms`);
+  // an already-expired deadline still goes through so the call fails with DEADLINE_EXCEEDED
+  return timeoutMs == null ? undefined : new Date(now + timeoutMs);
+}
+
+/**
+ * Route `method` to its upstream, check that `identity` may call it and find
+ * the env that describes it (reflection may be awaited).
+ * Returns { parsed, upstream, callEnv, def, types }; throws status-like errors.
+ */
+async function resolveCall(method, target, identity, log) {
+  const parsed = GrpcEnv.parseFQMethod(method);
+  const upstream = router.resolve(target, parsed.pkgPath ? `${parsed.pkgPath}.${parsed.serviceName}` : parsed.serviceName);
+  if (auth.authorize) {
+    let allowed = false;
+    try {
+      allowed = await auth.authorize(identity, { method, upstream: upstream.name, target: upstream.address });
+    } catch (e) {
+      log.warn("authorize failed", { method, error: e });
+    }
+    if (!allowed) {
+      throw callError(grpc.status.PERMISSION_DENIED, `Not authorized to call ${method}`);
+    }
+  }
+  const callEnv = await protos.current.resolveEnv(upstream.address, parsed.pkgPath, parsed.serviceName, parsed.methodName, upstream.credentials, upstream.channelOptions);
+  const def = callEnv.getMethodDef(parsed.pkgPath, parsed.serviceName, parsed.methodName);
+  const types = callEnv.getMethodTypes(parsed.pkgPath, parsed.serviceName, parsed.methodName);
+  return { parsed, upstream, callEnv, def, types };
+}
+
+/** Outgoing metadata: upstream defaults first; client and rule-derived values replace them */
+function callMetadata(upstream, mdObj, upgrade, identity) {
+  return objectToMetadata({
+    ...upstream.metadata,
+    ...applyMetadataRules(metadataRules, mdObj, {
+      headers: upgrade.headers,
+      peer: upgrade.peer,
+      claims: identity && identity.claims,
+    }),
+  });
+}
+
+async function onStart(ws, msg) {
   const { callId, method, target, metadata: mdObj, payload } = msg;
   if (!callId || !method) {
     return send(ws, { type: "error", callId, error: { code: grpc.status.INVALID_ARGUMENT, details: "Missing callId or method", metadata: {} } });
@@ -125,156 +517,225 @@ function onStart(ws, msg) {
   if (state.calls.has(callId)) {
     return send(ws, { type: "error", callId, error: { code: grpc.status.ALREADY_EXISTS, details: "Duplicate callId", metadata: {} } });
   }
+  const maxCalls = argv["max-calls-per-connection"];
+  if (maxCalls > 0 && state.calls.size >= maxCalls) {
+    metrics.rejected.inc({ reason: "calls_per_connection" });
+    return send(ws, { type: "error", callId, error: { code: grpc.status.RESOURCE_EXHAUSTED, details: `Too many concurrent calls (max ${maxCalls})`, metadata: {} } });
+  }
+
+  let resolved;
+  try {
+    resolved = await resolveCall(method, target, state.identity, state.log.child({ callId }));
+  } catch (e) {
+    return send(ws, { type: "error", callId, error: asErrorPayload(e) });
+  }
+  const { parsed, upstream, callEnv, def, types } = resolved;
+  const tgt = upstream.address;
+  // the socket may have closed while reflection was in flight
+  if (ws.readyState !== WebSocket.OPEN) return;
 
-  let parsed;
+  let deadline;
   try {
-    parsed = GrpcEnv.parseFQMethod(method);
+    deadline = callDeadline(msg);
   } catch (e) {
     return send(ws, { type: "error", callId, error: asErrorPayload(e) });
   }
+  const callOptions = deadline ? { deadline } : {};
 
-  const credentials = GrpcEnv.makeCredentials({ secure: argv.secure, tlsCa: argv["tls-ca"] });
-  const tgt = target || argv["default-target"];
+  const credits = msg.credits != null ? Number(msg.credits) : null;
+  if (credits != null && (!Number.isInteger(credits) || credits < 0)) {
+    return send(ws, { type: "error", callId, error: { code: grpc.status.INVALID_ARGUMENT, details: `Invalid credits: ${msg.credits}`, metadata: {} } });
+  }
+
+  const bytesEncoding = msg.bytesEncoding || "base64";
+  if (!BYTES_ENCODINGS.includes(bytesEncoding)) {
+    return send(ws, { type: "error", callId, error: { code: grpc.status.INVALID_ARGUMENT, details: `Unsupported bytesEncoding: ${bytesEncoding}`, metadata: {} } });
+  }
+
+  // per call, else per connection (?json= on the upgrade URL, checked by verifyClient)
+  const json = msg.json || state.json || "loader";
+  if (!JSON_MODES.includes(json)) {
+    return send(ws, { type: "error", callId, error: { code: grpc.status.INVALID_ARGUMENT, details: `Unsupported json mode: ${json}`, metadata: {} } });
+  }
 
-  let def;
+  let serialization;
+  let originalRoot = null;
+  let callPayload;
   try {
-    def = env.getMethodDef(parsed.pkgPath, parsed.serviceName, parsed.methodName);
+    // per-call longs/enums/keepCase/defaults/oneofs on top of the env's loader options
+    serialization = parseSerialization(msg.serialization, callEnv.loaderOptions);
+    if (serialization && serialization.keepCase) originalRoot = callEnv.getOriginalRoot();
+    callPayload = payload != null
+      ? decodeRequest({ requestType: types.requestType, json, serialization, originalRoot }, payload)
+      : undefined;
   } catch (e) {
     return send(ws, { type: "error", callId, error: asErrorPayload(e) });
   }
 
-  const client = env.getClient(tgt, parsed.pkgPath, parsed.serviceName, credentials);
-  const md = objectToMetadata(mdObj);
+  const client = callEnv.getClient(tgt, parsed.pkgPath, parsed.serviceName, upstream.credentials, upstream.channelOptions);
+  let md;
+  try {
+    md = callMetadata(upstream, mdObj, state.upgrade, state.identity);
+  } catch (e) {
+    return send(ws, { type: "error", callId, error: asErrorPayload(e) });
+  }
 
   const requestStream = !!def.requestStream;
   const responseStream = !!def.responseStream;
 
   const methodName = parsed.methodName;
+  const clog = state.log.child({ callId, method });
+  const callOpts = {
+    requestType: types.requestType,
+    responseType: types.responseType,
+    binaryResponses: !!msg.binaryResponses,
+    bytesEncoding,
+    json,
+    loaderOptions: callEnv.loaderOptions,
+    serialization,
+    originalRoot,
+  };
 
   const makeUnaryHandlers = (call) => {
     if (call && call.on) {
       call.on("metadata", (headers) => {
-        dlog("headers", { callId, metadata: metadataToObject(headers) });
+        clog.debug("headers", { metadata: metadataToObject(headers) });
         send(ws, { type: "headers", callId, metadata: metadataToObject(headers) });
       });
       call.on("status", (status) => {
+        finishCall(status.code);
         send(ws, { type: "status", callId, status: statusObject(status) });
         const s = getWsState(ws);
         s.calls.delete(callId);
-        dlog("status", { callId, status: statusObject(status) });
+        clog.debug("status", { code: status.code, details: status.details });
       });
     }
   };
 
+  const kind = requestStream ? (responseStream ? "bidi" : "client") : (responseStream ? "server" : "unary");
+  const stats = metrics.callStarted(method, kind);
+  // keeps callEnv's clients open across a proto reload until this call ends
+  const release = callEnv.acquire();
+  const finishCall = (code) => {
+    metrics.callFinished(stats, code);
+    release();
+  };
+
   try {
-    dlog("start", {
-      callId,
-      method,
+    clog.debug("start", {
       target: tgt,
-      requestStream,
-      responseStream,
+      kind,
+      deadline: deadline ? deadline.toISOString() : undefined,
+      subject: state.identity ? state.identity.subject : undefined,
       metadata: mdObj,
-      payloadPreview: payload ? preview(payload, 300) : undefined,
     });
+    if (callPayload) clog.trace("start:payload", { payload: callPayload });
     if (!requestStream && !responseStream) {
       // unary
-      const callPayload = payload ? { ...payload } : {};
-      if (msg.binaryAsBase64) {
-        decodeBinaryFields(callPayload, msg.binaryFields);
-        decodeKnownBytesHeuristics(callPayload);
-      }
-      const call = client[methodName](callPayload, md, (err, response) => {
+      metrics.messages.inc({ direction: "in" });
+      const call = client[methodName](callPayload || {}, md, callOptions, (err, response) => {
         if (err) {
-          dlog("error", { callId, error: asErrorPayload(err) });
+          clog.debug("error", { code: err.code, details: err.details });
           return send(ws, { type: "error", callId, error: asErrorPayload(err) });
         }
-        dlog("data", { callId, payloadPreview: preview(response, 200) });
-        send(ws, { type: "data", callId, payload: response });
+        clog.trace("data", { payload: response });
+        sendData(ws, callId, response, callOpts);
       });
       makeUnaryHandlers(call);
-      state.calls.set(callId, { kind: "unary", call, info: { method, target: tgt }, opts: { binaryAsBase64: !!msg.binaryAsBase64, binaryFields: ensureArray(msg.binaryFields) } });
+      state.calls.set(callId, { kind: "unary", call, info: { method, target: tgt }, opts: callOpts, log: clog });
     } else if (!requestStream && responseStream) {
       // server streaming
-      const callPayload = payload ? { ...payload } : {};
-      if (msg.binaryAsBase64) {
-        decodeBinaryFields(callPayload, msg.binaryFields);
-        decodeKnownBytesHeuristics(callPayload);
-      }
-      const stream = client[methodName](callPayload, md);
+      metrics.messages.inc({ direction: "in" });
+      const stream = client[methodName](callPayload || {}, md, callOptions);
+      const entry = { kind: "server", call: stream, info: { method, target: tgt }, opts: callOpts, log: clog, paused: new Set(), credits };
       stream.on("metadata", (headers) => {
-        dlog("headers", { callId, method, metadata: metadataToObject(headers) });
+        clog.debug("headers", { metadata: metadataToObject(headers) });
         send(ws, { type: "headers", callId, metadata: metadataToObject(headers) });
       });
       stream.on("data", (data) => {
-        dlog("data", { callId, method, payloadPreview: preview(data, 200) });
-        send(ws, { type: "data", callId, payload: data });
+        clog.trace("data", { payload: data });
+        sendData(ws, callId, data, callOpts);
+        afterDeliver(ws, entry);
       });
       stream.on("error", (err) => {
-        dlog("error", { callId, method, error: asErrorPayload(err) });
+        clog.debug("error", { code: err.code, details: err.details });
         send(ws, { type: "error", callId, error: asErrorPayload(err) });
       });
       stream.on("status", (status) => {
-        send(ws, { type: "status", callId, status: statusObject(status) });
-        const s = getWsState(ws);
-        s.calls.delete(callId);
-        dlog("status", { callId, method, status: statusObject(status) });
+        const finish = () => {
+          finishCall(status.code);
+          send(ws, { type: "status", callId, status: statusObject(status) });
+          const s = getWsState(ws);
+          s.calls.delete(callId);
+          clog.debug("status", { code: status.code, details: status.details });
+        };
+        // status can fire while a paused stream still buffers messages; deliver those first
+        if (status.code === grpc.status.OK && !stream.readableEnded) stream.once("end", finish);
+        else finish();
       });
       stream.on("end", () => { /* status event will follow */ });
-      state.calls.set(callId, { kind: "server", call: stream, info: { method, target: tgt }, opts: { binaryAsBase64: !!msg.binaryAsBase64, binaryFields: ensureArray(msg.binaryFields) } });
+      state.calls.set(callId, entry);
+      if (credits === 0) setFlowPaused(entry, "credit", true);
     } else if (requestStream && !responseStream) {
       // client streaming
-      const stream = client[methodName](md, (err, resp) => {
+      const stream = client[methodName](md, callOptions, (err, resp) => {
         if (err) return send(ws, { type: "error", callId, error: asErrorPayload(err) });
-        send(ws, { type: "data", callId, payload: resp });
+        sendData(ws, callId, resp, callOpts);
       });
       stream.on("metadata", (headers) => {
-        dlog("headers", { callId, method, metadata: metadataToObject(headers) });
+        clog.debug("headers", { metadata: metadataToObject(headers) });
         send(ws, { type: "headers", callId, metadata: metadataToObject(headers) });
       });
       stream.on("status", (status) => {
+        finishCall(status.code);
         send(ws, { type: "status", callId, status: statusObject(status) });
         const s = getWsState(ws);
         s.calls.delete(callId);
-        dlog("status", { callId, method, status: statusObject(status) });
+        clog.debug("status", { code: status.code, details: status.details });
       });
-      state.calls.set(callId, { kind: "client", call: stream, info: { method, target: tgt }, opts: { binaryAsBase64: !!msg.binaryAsBase64, binaryFields: ensureArray(msg.binaryFields) } });
+      const entry = { kind: "client", call: stream, info: { method, target: tgt }, opts: callOpts, log: clog };
+      state.calls.set(callId, entry);
       // If payload is provided at start, treat as first write
-      if (payload) {
-        const writeObj = { ...payload };
-        if (msg.binaryAsBase64) { decodeBinaryFields(writeObj, msg.binaryFields); decodeKnownBytesHeuristics(writeObj); }
-        dlog("write", { callId, method, payloadPreview: preview(writeObj, 200) });
-        stream.write(writeObj);
+      if (callPayload) {
+        writeToCall(ws, callId, entry, callPayload);
       }
     } else {
       // bidi streaming
-      const stream = client[methodName](md);
+      const stream = client[methodName](md, callOptions);
+      const entry = { kind: "bidi", call: stream, info: { method, target: tgt }, opts: callOpts, log: clog, paused: new Set(), credits };
       stream.on("metadata", (headers) => {
-        dlog("headers", { callId, method, metadata: metadataToObject(headers) });
+        clog.debug("headers", { metadata: metadataToObject(headers) });
         send(ws, { type: "headers", callId, metadata: metadataToObject(headers) });
       });
       stream.on("data", (data) => {
-        dlog("data", { callId, method, payloadPreview: preview(data, 200) });
-        send(ws, { type: "data", callId, payload: data });
+        clog.trace("data", { payload: data });
+        sendData(ws, callId, data, callOpts);
+        afterDeliver(ws, entry);
       });
       stream.on("error", (err) => {
-        dlog("error", { callId, method, error: asErrorPayload(err) });
+        clog.debug("error", { code: err.code, details: err.details });
         send(ws, { type: "error", callId, error: asErrorPayload(err) });
       });
       stream.on("status", (status) => {
-        send(ws, { type: "status", callId, status: statusObject(status) });
-        const s = getWsState(ws);
-        s.calls.delete(callId);
-        dlog("status", { callId, method, status: statusObject(status) });
+        const finish = () => {
+          finishCall(status.code);
+          send(ws, { type: "status", callId, status: statusObject(status) });
+          const s = getWsState(ws);
+          s.calls.delete(callId);
+          clog.debug("status", { code: status.code, details: status.details });
+        };
+        // status can fire while a paused stream still buffers messages; deliver those first
+        if (status.code === grpc.status.OK && !stream.readableEnded) stream.once("end", finish);
+        else finish();
       });
-      state.calls.set(callId, { kind: "bidi", call: stream, info: { method, target: tgt }, opts: { binaryAsBase64: !!msg.binaryAsBase64, binaryFields: ensureArray(msg.binaryFields) } });
-      if (payload) {
-        const writeObj = { ...payload };
-        if (msg.binaryAsBase64) { decodeBinaryFields(writeObj, msg.binaryFields); decodeKnownBytesHeuristics(writeObj); }
-        dlog("write", { callId, method, payloadPreview: preview(writeObj, 200) });
-        stream.write(writeObj);
+      state.calls.set(callId, entry);
+      if (credits === 0) setFlowPaused(entry, "credit", true);
+      if (callPayload) {
+        writeToCall(ws, callId, entry, callPayload);
       }
     }
   } catch (e) {
+    finishCall(grpc.status.INTERNAL);
     return send(ws, { type: "error", callId, error: asErrorPayload(e) });
   }
 }
@@ -288,26 +749,39 @@ function onWrite(ws, msg) {
     return send(ws, { type: "error", callId, error: { code: grpc.status.FAILED_PRECONDITION, details: "Not a writable stream", metadata: {} } });
   }
   try {
-    let writeObj = payload || {};
-    if (entry.opts?.binaryAsBase64) {
-      writeObj = { ...writeObj };
-      decodeBinaryFields(writeObj, entry.opts.binaryFields);
-      decodeKnownBytesHeuristics(writeObj);
-    }
-    dlog("write", { callId, method: entry.info?.method, payloadPreview: preview(writeObj, 200) });
-    entry.call.write(writeObj);
+    const writeObj = decodeRequest(entry.opts, payload);
+    entry.log.trace("write", { payload: writeObj });
+    writeToCall(ws, callId, entry, writeObj);
   } catch (e) {
     send(ws, { type: "error", callId, error: asErrorPayload(e) });
   }
 }
 
+/** Credit-based flow control: allow `n` more response messages */
+function onRequest(ws, msg) {
+  const { callId } = msg;
+  const n = Number(msg.n);
+  const state = getWsState(ws);
+  const entry = state.calls.get(callId);
+  if (!entry) return send(ws, { type: "error", callId, error: { code: grpc.status.NOT_FOUND, details: "callId not found", metadata: {} } });
+  if (entry.credits == null) {
+    return send(ws, { type: "error", callId, error: { code: grpc.status.FAILED_PRECONDITION, details: "Credit flow control not enabled (set credits in start)", metadata: {} } });
+  }
+  if (!Number.isInteger(n) || n <= 0) {
+    return send(ws, { type: "error", callId, error: { code: grpc.status.INVALID_ARGUMENT, details: `Invalid n: ${msg.n}`, metadata: {} } });
+  }
+  entry.credits += n;
+  entry.log.debug("request", { n, credits: entry.credits });
+  if (entry.credits > 0) setFlowPaused(entry, "credit", false);
+}
+
 function onEnd(ws, msg) {
   const { callId } = msg;
   const state = getWsState(ws);
   const entry = state.calls.get(callId);
   if (!entry) return; // ignore
   if (entry.call && entry.call.end) {
-    dlog("end", { callId, method: entry.info?.method });
+    entry.log.debug("end");
     try { entry.call.end(); } catch (_) { }
   }
 }
@@ -318,63 +792,829 @@ function onCancel(ws, msg) {
   const entry = state.calls.get(callId);
   if (!entry) return; // ignore
   try {
-    dlog("cancel", { callId, method: entry.info?.method });
+    entry.log.debug("cancel");
     if (entry.call && entry.call.cancel) entry.call.cancel();
   } finally {
     state.calls.delete(callId);
   }
 }
 
+// Services visible for a target: its reflected schema first (when enabled), then local protos
+async function servicesForTarget(target, log) {
+  const env = protos.current;
+  const upstream = router.resolve(target);
+  const envs = [];
+  if (argv.reflection) {
+    try {
+      envs.push(await env.getReflectedEnv(upstream.address, upstream.credentials, false, upstream.channelOptions));
+    } catch (e) {
+      log.warn("reflection failed", { target: upstream.address, error: e.details || e.message });
+    }
+  }
+  envs.push(env);
+  const seen = new Set();
+  const out = [];
+  for (const e of envs) {
+    for (const svc of e.describeServices()) {
+      if (seen.has(svc.name) || !UpstreamRouter.allows(upstream, svc.name)) continue;
+      seen.add(svc.name);
+      out.push({ svc, env: e });
+    }
+  }
+  return out;
+}
+
+async function onList(ws, msg) {
+  const { callId, target } = msg;
+  try {
+    const found = await servicesForTarget(target, getWsState(ws).log);
+    send(ws, { type: "list", callId, services: found.map((f) => f.svc) });
+  } catch (e) {
+    send(ws, { type: "error", callId, error: asErrorPayload(e) });
+  }
+}
+
+async function onDescribe(ws, msg) {
+  const { callId, target, method, service } = msg;
+  try {
+    const found = await servicesForTarget(target, getWsState(ws).log);
+    const services = [];
+    const messages = {};
+    const enums = {};
+    for (const { svc, env: svcEnv } of found) {
+      if (service && svc.name !== service) continue;
+      const methods = method ? svc.methods.filter((m) => m.method === method) : svc.methods;
+      if (methods.length === 0) continue;
+      services.push({ ...svc, methods });
+      const types = [];
+      for (const m of methods) {
+        const parsed = GrpcEnv.parseFQMethod(m.method);
+        const t = svcEnv.getMethodTypes(parsed.pkgPath, parsed.serviceName, parsed.methodName);
+        types.push(t.requestType, t.responseType);
+      }
+      const described = describeTypes(types, svcEnv.loaderOptions);
+      Object.assign(messages, described.messages);
+      Object.assign(enums, described.enums);
+    }
+    if ((method || service) && services.length === 0) {
+      return send(ws, { type: "error", callId, error: { code: grpc.status.NOT_FOUND, details: `Not found: ${method || service}`, metadata: {} } });
+    }
+    send(ws, { type: "describe", callId, services, messages, enums });
+  } catch (e) {
+    send(ws, { type: "error", callId, error: asErrorPayload(e) });
+  }
+}
+
 function cleanupWs(ws) {
   const state = getWsState(ws);
   for (const [callId, entry] of state.calls) {
-    dlog("cleanup:cancel", { callId, method: entry.info?.method });
+    entry.log.debug("cleanup:cancel");
     try { if (entry.call && entry.call.cancel) entry.call.cancel(); } catch (_) { }
   }
   state.calls.clear();
+  if (state.drainTimer) clearInterval(state.drainTimer);
+  state.drainTimer = null;
+  state.wsPaused.clear();
 }
 
-wss.on("connection", (ws, req) => {
-  log(`New WS connection from ${req.socket.remoteAddress}`);
-  getWsState(ws); // init
+function dispatch(ws, msg) {
+  switch (msg.type) {
+    case "start":
+      return onStart(ws, msg);
+    case "write":
+      return onWrite(ws, msg);
+    case "request":
+      return onRequest(ws, msg);
+    case "end":
+      return onEnd(ws, msg);
+    case "cancel":
+      return onCancel(ws, msg);
+    case "list":
+      return onList(ws, msg);
+    case "describe":
+      return onDescribe(ws, msg);
+    default:
+      return send(ws, { type: "error", callId: msg.callId, error: { code: grpc.status.UNIMPLEMENTED, details: `Unknown type ${msg.type}`, metadata: {} } });
+  }
+}
 
-  ws.on("message", (data) => {
-    dlog("recv", { bytes: Buffer.byteLength(data), preview: preview(data.toString(), 200) });
-    let msg;
+const sessions = argv.sessions
+  ? new SessionStore({
+    graceMs: argv["session-grace"],
+    maxBufferBytes: argv["session-buffer-bytes"],
+    onExpire: (chan) => {
+      getWsState(chan).log.info("session ended", { calls: getWsState(chan).calls.size });
+      cleanupWs(chan);
+    },
+  })
+  : null;
+
+/**
+ * Session control messages, answered directly on the socket (never sequenced):
+ *   session  make this connection resumable; replies { type: "session", token, lastSeq }
+ *   ack      { seq }: the client has everything up to seq; frees the replay buffer
+ *   resume   { token, ack }: adopt a disconnected session and replay what came after ack
+ * Returns the channel the socket continues with.
+ */
+function onSessionControl(ws, chan, msg, identity, upgrade, log) {
+  const codec = codecFor(ws.protocol);
+  const reply = (m) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(codec.encode(m), { binary: codec.binary });
+  };
+  const fail = (code, details) => reply({ type: "error", callId: msg.callId, error: { code, details, metadata: {} } });
+  if (!sessions) {
+    fail(grpc.status.UNIMPLEMENTED, "Sessions are disabled on this bridge");
+    return chan;
+  }
+  if (msg.type === "session") {
+    const session = sessions.open(chan, identity);
+    log.debug("session opened");
+    reply({ type: "session", token: session.token, lastSeq: session.seq, resumed: false, graceMs: sessions.graceMs });
+    return chan;
+  }
+  if (msg.type === "ack") {
+    const seq = Number(msg.seq);
+    if (!chan.session || !Number.isInteger(seq)) fail(grpc.status.INVALID_ARGUMENT, "ack needs an open session and an integer seq");
+    else chan.session.ack(seq);
+    return chan;
+  }
+  // resume
+  if (chan.session || getWsState(chan).calls.size > 0) {
+    fail(grpc.status.FAILED_PRECONDITION, "resume must be the first message on a connection");
+    return chan;
+  }
+  const target = sessions.lookup(String(msg.token || ""), identity);
+  if (!target) {
+    fail(grpc.status.NOT_FOUND, "Unknown or expired session");
+    return chan;
+  }
+  // the replay buffer holds messages already encoded
+  if (getWsState(target).codec !== codec) {
+    fail(grpc.status.FAILED_PRECONDITION, `Session was opened with the ${getWsState(target).codec.name} encoding`);
+    return chan;
+  }
+  let replay;
+  try {
+    replay = target.session.replayFrom(msg.ack == null ? 0 : Number(msg.ack));
+  } catch (e) {
+    // the client cannot reconstruct its calls; drop the session so they don't linger
+    sessions.close(target);
+    fail(e.code, e.details);
+    return chan;
+  }
+  const previous = sessions.attach(target, ws);
+  if (previous) previous.close(4000, "Session resumed on another connection");
+  const state = getWsState(target);
+  state.upgrade = upgrade;
+  state.log.info("session resumed", { on: log.bindings.conn, replayed: replay.length, calls: state.calls.size });
+  reply({ type: "session", token: target.session.token, lastSeq: target.session.seq, resumed: true });
+  for (const e of replay) ws.send(e.data, { binary: e.binary });
+  return target;
+}
+
+// HTTP calls: POST /pkg.Service/Method, for clients that cannot use WebSockets.
+// Unary replies are JSON; server streams are Server-Sent Events.
+
+// as grpc-gateway maps them
+const HTTP_STATUS = {
+  [grpc.status.OK]: 200,
+  [grpc.status.CANCELLED]: 499,
+  [grpc.status.UNKNOWN]: 500,
+  [grpc.status.INVALID_ARGUMENT]: 400,
+  [grpc.status.DEADLINE_EXCEEDED]: 504,
+  [grpc.status.NOT_FOUND]: 404,
+  [grpc.status.ALREADY_EXISTS]: 409,
+  [grpc.status.PERMISSION_DENIED]: 403,
+  [grpc.status.RESOURCE_EXHAUSTED]: 429,
+  [grpc.status.FAILED_PRECONDITION]: 400,
+  [grpc.status.ABORTED]: 409,
+  [grpc.status.OUT_OF_RANGE]: 400,
+  [grpc.status.UNIMPLEMENTED]: 501,
+  [grpc.status.INTERNAL]: 500,
+  [grpc.status.UNAVAILABLE]: 503,
+  [grpc.status.DATA_LOSS]: 500,
+  [grpc.status.UNAUTHENTICATED]: 401,
+};
+
+// request headers with this prefix become call metadata; response metadata and trailers come back the same way
+const HTTP_METADATA_PREFIX = "grpc-metadata-";
+const HTTP_TRAILER_PREFIX = "grpc-trailer-";
+
+function corsAllowed(origin) {
+  const allowed = argv["cors-origin"].map(String);
+  return !!origin && (allowed.includes("*") || allowed.includes(origin));
+}
+
+function allowOrigin(req, res) {
+  if (!corsAllowed(req.headers.origin)) return;
+  res.setHeader("Access-Control-Allow-Origin", req.headers.origin);
+  res.setHeader("Vary", "Origin");
+}
+
+function sendPreflight(req, res) {
+  if (!corsAllowed(req.headers.origin)) {
+    res.writeHead(403, { "Content-Type": "text/plain" });
+    return res.end("Origin not allowed");
+  }
+  res.writeHead(204, {
+    "Access-Control-Allow-Origin": req.headers.origin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": req.headers["access-control-request-headers"] || "content-type, x-grpc-web, x-user-agent, grpc-timeout",
+    "Access-Control-Max-Age": "86400",
+    Vary: "Origin",
+  });
+  res.end();
+}
+
+/** writeHead that lets browsers read the status and metadata headers of a CORS response */
+function writeCallHead(res, statusCode, headers) {
+  if (res.getHeader("Access-Control-Allow-Origin")) {
+    headers = { ...headers, "Access-Control-Expose-Headers": Object.keys(headers).join(", ") };
+  }
+  res.writeHead(statusCode, headers);
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (limit > 0 && size > limit) {
+        const err = callError(grpc.status.RESOURCE_EXHAUSTED, `Request body exceeds ${limit} bytes`);
+        err.httpStatus = 413;
+        reject(err);
+        req.removeAllListeners("data");
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function headerMetadata(req) {
+  const out = {};
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    const name = req.rawHeaders[i].toLowerCase();
+    if (!name.startsWith(HTTP_METADATA_PREFIX)) continue;
+    const key = name.slice(HTTP_METADATA_PREFIX.length);
+    const value = req.rawHeaders[i + 1];
+    out[key] = key in out ? [].concat(out[key], value) : value;
+  }
+  return out;
+}
+
+function metadataHeaders(prefix, obj) {
+  return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [prefix + k, v]));
+}
+
+function sendHttpError(res, error, headers = {}, httpStatus) {
+  if (res.headersSent || res.destroyed) return res.end();
+  writeCallHead(res, httpStatus || HTTP_STATUS[error.code] || 500, {
+    "Content-Type": "application/json",
+    "Grpc-Status": String(error.code),
+    "Grpc-Message": encodeGrpcMessage(error.details),
+    ...headers,
+    ...metadataHeaders(HTTP_TRAILER_PREFIX, error.metadata),
+    ...(httpStatus === 413 ? { Connection: "close" } : {}),
+  });
+  res.end(JSON.stringify({ error }));
+}
+
+/**
+ * Everything a call needs before it starts: the body decoded for its request
+ * type, its options from the query string (target, timeoutMs, deadline, json,
+ * bytesEncoding, as in a start message) and its metadata.
+ */
+async function prepareHttpCall(req, method, query, identity, log) {
+  const body = await readBody(req, argv["max-message-bytes"]);
+  let payload = {};
+  if (body.length > 0) {
+    try {
+      payload = JSON.parse(body.toString("utf8"));
+    } catch (e) {
+      throw callError(grpc.status.INVALID_ARGUMENT, "Invalid JSON");
+    }
+  }
+  const { parsed, upstream, callEnv, def, types } = await resolveCall(method, query.get("target") || undefined, identity, log);
+  if (def.requestStream) {
+    throw callError(grpc.status.UNIMPLEMENTED, `${method} is ${def.responseStream ? "bidi" : "client"}-streaming; use the WebSocket protocol`);
+  }
+  const deadlineParam = query.get("deadline");
+  const deadline = callDeadline({
+    timeoutMs: query.get("timeoutMs"),
+    deadline: deadlineParam != null && /^\d+$/.test(deadlineParam) ? Number(deadlineParam) : deadlineParam,
+  });
+  const json = query.get("json") || "loader";
+  if (!JSON_MODES.includes(json)) throw callError(grpc.status.INVALID_ARGUMENT, `Unsupported json mode: ${json}`);
+  const bytesEncoding = query.get("bytesEncoding") || "base64";
+  if (!BYTES_ENCODINGS.includes(bytesEncoding)) throw callError(grpc.status.INVALID_ARGUMENT, `Unsupported bytesEncoding: ${bytesEncoding}`);
+
+  const opts = {
+    requestType: types.requestType,
+    responseType: types.responseType,
+    bytesEncoding,
+    json,
+    loaderOptions: callEnv.loaderOptions,
+    serialization: null,
+  };
+  const request = decodeRequest(opts, payload);
+  const upgrade = { headers: req.headers, peer: req.socket.remoteAddress };
+  const md = callMetadata(upstream, headerMetadata(req), upgrade, identity);
+  const client = callEnv.getClient(upstream.address, parsed.pkgPath, parsed.serviceName, upstream.credentials, upstream.channelOptions);
+  return { parsed, upstream, callEnv, def, opts, request, md, client, callOptions: deadline ? { deadline } : {} };
+}
+
+// HTTP and gRPC-Web calls have no connection to count against;
+// --http-max-calls-per-ip and --http-start-rate limit them per client IP, each
+// transport on its own (both off by default, since behind a proxy every call
+// comes from the same address). Maps ip => { calls, bucket }
+const httpClients = new Map();
+const grpcWebClients = new Map();
+
+/**
+ * Admit a call from `ip` against one transport's `clients`; returns the
+ * function that ends it, throws RESOURCE_EXHAUSTED when over a limit.
+ */
+function admitHttpCall(clients, ip) {
+  const maxCalls = argv["http-max-calls-per-ip"];
+  if (!(maxCalls > 0) && !(argv["http-start-rate"] > 0)) return () => { };
+  let entry = clients.get(ip);
+  if (!entry) {
+    entry = { calls: 0, bucket: new TokenBucket(argv["http-start-rate"], argv["http-start-burst"]) };
+    clients.set(ip, entry);
+  }
+  if (maxCalls > 0 && entry.calls >= maxCalls) {
+    metrics.rejected.inc({ reason: "http_calls_per_ip" });
+    throw callError(grpc.status.RESOURCE_EXHAUSTED, `Too many concurrent calls (max ${maxCalls})`);
+  }
+  if (!entry.bucket.take()) {
+    metrics.rejected.inc({ reason: "http_start_rate" });
+    throw callError(grpc.status.RESOURCE_EXHAUSTED, "start rate limit exceeded");
+  }
+  entry.calls += 1;
+  let ended = false;
+  return () => {
+    if (ended) return;
+    ended = true;
+    entry.calls -= 1;
+    if (entry.calls > 0) return;
+    // forget an idle IP once its bucket has refilled; dropping it sooner would reset the rate limit
+    const forget = () => {
+      if (entry.calls > 0 || clients.get(ip) !== entry) return;
+      const wait = entry.bucket.refillMs();
+      if (wait > 0) setTimeout(forget, wait).unref();
+      else clients.delete(ip);
+    };
+    forget();
+  };
+}
+
+let nextHttpCallId = 1;
+
+async function handleHttpCall(req, res, method, query) {
+  const log = logger.child({ conn: `http-${nextHttpCallId++}`, method });
+  let identity = null;
+  if (auth.enabled) {
+    try {
+      identity = await auth.authenticate(req);
+    } catch (err) {
+      log.warn("HTTP call verifier failed", { error: err });
+    }
+    if (!identity) {
+      log.warn("Rejected HTTP call: unauthenticated", { peer: req.socket.remoteAddress });
+      return sendHttpError(res, { code: grpc.status.UNAUTHENTICATED, details: "Unauthorized", metadata: {} });
+    }
+  }
+
+  let endCall = null;
+  let prepared;
+  try {
+    endCall = admitHttpCall(httpClients, req.socket.remoteAddress);
+    prepared = await prepareHttpCall(req, method, query, identity, log);
+  } catch (e) {
+    if (endCall) endCall();
+    const error = asErrorPayload(e);
+    log.debug("HTTP call rejected", { code: error.code, details: error.details });
+    return sendHttpError(res, error, {}, e.httpStatus);
+  }
+  const { parsed, upstream, callEnv, def, opts, request, md, client, callOptions } = prepared;
+  const kind = def.responseStream ? "server" : "unary";
+  const stats = metrics.callStarted(method, kind);
+  const release = callEnv.acquire();
+  const finishCall = (code) => {
+    metrics.callFinished(stats, code);
+    release();
+    endCall();
+    log.debug("status", { code });
+  };
+  log.debug("start", {
+    target: upstream.address,
+    kind,
+    deadline: callOptions.deadline ? callOptions.deadline.toISOString() : undefined,
+    subject: identity ? identity.subject : undefined,
+  });
+  log.trace("start:payload", { payload: request });
+  metrics.messages.inc({ direction: "in" });
+
+  let call;
+  try {
+    call = kind === "unary"
+      ? startHttpUnary(res, client[parsed.methodName].bind(client), request, md, callOptions, opts, finishCall)
+      : startHttpServerStream(res, client[parsed.methodName](request, md, callOptions), opts, finishCall);
+  } catch (e) {
+    finishCall(grpc.status.INTERNAL);
+    return sendHttpError(res, asErrorPayload(e));
+  }
+  // the client went away before the reply was complete
+  res.on("close", () => {
+    if (!res.writableFinished) call.cancel();
+  });
+}
+
+/** Unary: reply once the status is in, response metadata and trailers as headers */
+function startHttpUnary(res, invoke, request, md, callOptions, opts, finishCall) {
+  let error = null;
+  let response;
+  let headers = {};
+  const call = invoke(request, md, callOptions, (err, resp) => {
+    error = err;
+    response = resp;
+  });
+  call.on("metadata", (h) => {
+    headers = metadataToObject(h);
+  });
+  call.on("status", (status) => {
+    // the callback's error also covers an OK status without a message
+    const final = error ? asErrorPayload(error) : statusObject(status);
+    finishCall(final.code);
+    if (res.destroyed) return;
+    const headerFields = metadataHeaders(HTTP_METADATA_PREFIX, headers);
+    if (final.code !== grpc.status.OK) return sendHttpError(res, final, headerFields);
+    let body;
+    try {
+      body = encodeResponse(opts, response);
+    } catch (e) {
+      return sendHttpError(res, { code: grpc.status.INTERNAL, details: `Response not representable as proto3 JSON: ${e.message}`, metadata: {} }, headerFields);
+    }
+    metrics.messages.inc({ direction: "out" });
+    writeCallHead(res, 200, {
+      "Content-Type": "application/json",
+      "Grpc-Status": "0",
+      "Grpc-Message": "",
+      ...headerFields,
+      ...metadataHeaders(HTTP_TRAILER_PREFIX, final.metadata),
+    });
+    res.end(JSON.stringify(body));
+  });
+  return call;
+}
+
+/**
+ * Server streaming as Server-Sent Events: `headers`, one `data` event per
+ * message, then `status`. A call that fails before anything was sent gets a
+ * plain error reply instead.
+ */
+function startHttpServerStream(res, stream, opts, finishCall) {
+  let failed = null;
+  const event = (name, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "X-Accel-Buffering": "no" });
+    }
+    return res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  stream.on("metadata", (h) => event("headers", metadataToObject(h)));
+  stream.on("data", (data) => {
+    let out;
     try {
-      msg = JSON.parse(data.toString());
+      out = encodeResponse(opts, data);
     } catch (e) {
-      return send(ws, { type: "error", error: { code: grpc.status.INVALID_ARGUMENT, details: "Invalid JSON", metadata: {} } });
+      failed = { code: grpc.status.INTERNAL, details: `Response not representable as proto3 JSON: ${e.message}`, metadata: {} };
+      stream.cancel();
+      return;
+    }
+    metrics.messages.inc({ direction: "out" });
+    // hold the stream while the socket's buffer is full
+    if (!event("data", out)) {
+      stream.pause();
+      res.once("drain", () => stream.resume());
+    }
+  });
+  stream.on("error", () => { /* reported by the status event */ });
+  stream.on("status", (status) => {
+    const finish = () => {
+      const final = failed || statusObject(status);
+      finishCall(final.code);
+      if (res.destroyed) return;
+      if (!res.headersSent && final.code !== grpc.status.OK) return sendHttpError(res, final);
+      event("status", final);
+      res.end();
+    };
+    // status can fire while a paused stream still buffers messages; deliver those first
+    if (status.code === grpc.status.OK && !stream.readableEnded) stream.once("end", finish);
+    else finish();
+  });
+  return stream;
+}
+
+// gRPC-Web: the request and response messages stay protobuf-encoded end to
+// end; the upstream client is called with pass-through (de)serializers.
+
+const passThrough = (buf) => buf;
+
+let nextGrpcWebCallId = 1;
+
+async function handleGrpcWebCall(req, res, method) {
+  const log = logger.child({ conn: `grpc-web-${nextGrpcWebCallId++}`, method });
+  const text = grpcWeb.isTextRequest(req);
+  const contentType = text ? "application/grpc-web-text+proto" : "application/grpc-web+proto";
+  const encode = (buf) => (text ? Buffer.from(buf.toString("base64")) : buf);
+  let headers = {};
+  let sentMessages = false;
+
+  const writeMessage = (message) => {
+    if (!res.headersSent) writeCallHead(res, 200, { "Content-Type": contentType, ...headers });
+    sentMessages = true;
+    return res.write(encode(grpcWeb.encodeMessageFrame(message)));
+  };
+  // once nothing else can follow; without any message the status goes in the headers ("trailers-only")
+  const finish = (status) => {
+    if (res.destroyed) return;
+    if (!sentMessages) {
+      if (res.headersSent) return res.end();
+      writeCallHead(res, 200, {
+        "Content-Type": contentType,
+        ...headers,
+        ...grpcWeb.metadataToHeaders(status.metadata),
+        "grpc-status": String(status.code),
+        "grpc-message": encodeGrpcMessage(status.details),
+      });
+      return res.end();
+    }
+    res.end(encode(grpcWeb.encodeTrailersFrame(status, encodeGrpcMessage)));
+  };
+
+  let identity = null;
+  if (auth.enabled) {
+    try {
+      identity = await auth.authenticate(req);
+    } catch (err) {
+      log.warn("gRPC-Web call verifier failed", { error: err });
     }
-    dlog("parsed", { type: msg.type, callId: msg.callId });
-    switch (msg.type) {
-      case "start":
-        onStart(ws, msg);
-        break;
-      case "write":
-        onWrite(ws, msg);
-        break;
-      case "end":
-        onEnd(ws, msg);
-        break;
-      case "cancel":
-        onCancel(ws, msg);
-        break;
-      default:
-        send(ws, { type: "error", callId: msg.callId, error: { code: grpc.status.UNIMPLEMENTED, details: `Unknown type ${msg.type}`, metadata: {} } });
+    if (!identity) {
+      log.warn("Rejected gRPC-Web call: unauthenticated", { peer: req.socket.remoteAddress });
+      return finish({ code: grpc.status.UNAUTHENTICATED, details: "Unauthorized", metadata: {} });
     }
+  }
+
+  let endCall = null;
+  let prepared;
+  try {
+    endCall = admitHttpCall(grpcWebClients, req.socket.remoteAddress);
+    prepared = await prepareGrpcWebCall(req, method, text, identity, log);
+  } catch (e) {
+    if (endCall) endCall();
+    const error = asErrorPayload(e);
+    log.debug("gRPC-Web call rejected", { code: error.code, details: error.details });
+    return finish(error);
+  }
+  const { upstream, callEnv, def, message, md, client, callOptions } = prepared;
+  const kind = def.responseStream ? "server" : "unary";
+  const stats = metrics.callStarted(method, kind);
+  const release = callEnv.acquire();
+  log.debug("start", {
+    target: upstream.address,
+    kind,
+    deadline: callOptions.deadline ? callOptions.deadline.toISOString() : undefined,
+    subject: identity ? identity.subject : undefined,
   });
+  metrics.messages.inc({ direction: "in" });
 
-  ws.on("close", () => {
-    cleanupWs(ws);
-    log("WS connection closed");
+  let failed = null;
+  let call;
+  const onStatus = (status) => {
+    const final = failed || statusObject(status);
+    metrics.callFinished(stats, final.code);
+    release();
+    endCall();
+    log.debug("status", { code: final.code });
+    finish(final);
+  };
+  try {
+    if (kind === "unary") {
+      let response = null;
+      call = client.makeUnaryRequest(def.path, passThrough, passThrough, message, md, callOptions, (err, resp) => {
+        if (err) failed = asErrorPayload(err);
+        else response = resp;
+      });
+      call.on("status", (status) => {
+        if (response) {
+          metrics.messages.inc({ direction: "out" });
+          writeMessage(response);
+        }
+        onStatus(status);
+      });
+    } else {
+      call = client.makeServerStreamRequest(def.path, passThrough, passThrough, message, md, callOptions);
+      call.on("data", (data) => {
+        metrics.messages.inc({ direction: "out" });
+        // hold the stream while the socket's buffer is full
+        if (!writeMessage(data)) {
+          call.pause();
+          res.once("drain", () => call.resume());
+        }
+      });
+      call.on("error", () => { /* reported by the status event */ });
+      call.on("status", (status) => {
+        // status can fire while a paused stream still buffers messages; deliver those first
+        if (status.code === grpc.status.OK && !call.readableEnded) call.once("end", () => onStatus(status));
+        else onStatus(status);
+      });
+    }
+    call.on("metadata", (h) => {
+      headers = grpcWeb.metadataToHeaders(metadataToObject(h));
+    });
+  } catch (e) {
+    metrics.callFinished(stats, grpc.status.INTERNAL);
+    release();
+    endCall();
+    return finish(asErrorPayload(e));
+  }
+  // the client went away before the response was complete
+  res.on("close", () => {
+    if (!res.writableFinished) call.cancel();
   });
-  ws.on("error", (err) => {
-    cleanupWs(ws);
-    log("WS error", err);
+}
+
+/** The request message, metadata (request headers) and deadline (grpc-timeout) of a gRPC-Web call */
+async function prepareGrpcWebCall(req, method, text, identity, log) {
+  const contentType = String(req.headers["content-type"]).toLowerCase();
+  const subtype = /^application\/grpc-web(?:-text)?(?:\+([\w-]+))?/.exec(contentType)[1];
+  if (subtype && subtype !== "proto") throw callError(grpc.status.UNIMPLEMENTED, `Unsupported gRPC-Web content type: ${contentType}`);
+  const body = await readBody(req, argv["max-message-bytes"]);
+  let messages;
+  try {
+    messages = grpcWeb.decodeFrames(text ? grpcWeb.decodeTextBody(body.toString("latin1")) : body);
+  } catch (e) {
+    throw callError(grpc.status.INVALID_ARGUMENT, e.message);
+  }
+  if (messages.length > 1) throw callError(grpc.status.INVALID_ARGUMENT, "Expected one request message");
+
+  const { parsed, upstream, callEnv, def } = await resolveCall(method, undefined, identity, log);
+  if (def.requestStream) {
+    throw callError(grpc.status.UNIMPLEMENTED, `${method} is ${def.responseStream ? "bidi" : "client"}-streaming; gRPC-Web supports unary and server-streaming methods`);
+  }
+  let deadline;
+  try {
+    deadline = callDeadline({ timeoutMs: grpcWeb.parseGrpcTimeout(req.headers["grpc-timeout"]) });
+  } catch (e) {
+    throw callError(grpc.status.INVALID_ARGUMENT, e.message);
+  }
+  // the bridge's own credentials are not passed on
+  const exclude = auth.enabled ? ["authorization", "x-api-key"] : [];
+  const upgrade = { headers: req.headers, peer: req.socket.remoteAddress };
+  const md = callMetadata(upstream, grpcWeb.headersToMetadata(req.headers, exclude), upgrade, identity);
+  const client = callEnv.getClient(upstream.address, parsed.pkgPath, parsed.serviceName, upstream.credentials, upstream.channelOptions);
+  return { upstream, callEnv, def, message: messages[0] || Buffer.alloc(0), md, client, callOptions: deadline ? { deadline } : {} };
+}
+
+let nextConnId = 1;
+
+// every protocol message is an object; null, arrays and primitives are not
+function isEnvelope(msg) {
+  return msg !== null && typeof msg === "object" && !Array.isArray(msg);
+}
+
+const CALL_ID_PATTERN = /"callId"\s*:\s*("(?:[^"\\]|\\.)*"|\d+)/;
+const CALL_ID_SCAN_BYTES = 1024;
+const MAX_FRAME_HEADER_SCAN_BYTES = 64 * 1024;
+
+/**
+ * Best effort: the callId of a message too big to handle, without parsing all
+ * of it. JSON text is scanned near its start (clients send the envelope keys
+ * before the payload), a binary frame's header is parsed on its own;
+ * MessagePack/CBOR messages are not looked into.
+ */
+function oversizedCallId(data, isBinary, codec) {
+  try {
+    if (!isBinary) {
+      const m = CALL_ID_PATTERN.exec(data.toString("utf8", 0, CALL_ID_SCAN_BYTES));
+      return m ? JSON.parse(m[1]) : undefined;
+    }
+    if (!codec.binary && isBinaryFrame(data, isBinary)) {
+      const headerLen = data.readUInt32BE(0);
+      if (headerLen > MAX_FRAME_HEADER_SCAN_BYTES) return undefined;
+      const header = JSON.parse(data.toString("utf8", 4, 4 + headerLen));
+      return header && header.callId != null ? header.callId : undefined;
+    }
+  } catch (_) { }
+  return undefined;
+}
+
+wss.on("connection", (ws, req) => {
+  const identity = req.identity || null;
+  const connLog = logger.child({ conn: `conn-${nextConnId++}` });
+  const upgrade = { headers: req.headers, peer: req.socket.remoteAddress };
+  // what this socket's messages act on; `resume` switches it to a session's channel
+  let chan = new Channel(ws);
+  const initial = getWsState(chan);
+  initial.log = connLog;
+  initial.identity = identity;
+  initial.upgrade = upgrade;
+  initial.json = req.jsonMode || null;
+  initial.codec = codecFor(ws.protocol);
+  connLog.info("WS connection opened", {
+    peer: req.socket.remoteAddress,
+    auth: identity ? identity.method : undefined,
+    subject: identity && identity.subject ? identity.subject : undefined,
+    encoding: initial.codec.name,
+  });
+  metrics.wsConnections.inc();
+  const ip = req.socket.remoteAddress;
+  connectionsByIp.set(ip, (connectionsByIp.get(ip) || 0) + 1);
+
+  ws.on("message", (data, isBinary) => {
+    metrics.bytes.inc({ direction: "in" }, data.length);
+    const state = getWsState(chan);
+    const limit = argv["max-message-bytes"];
+    if (limit > 0 && data.length > limit) {
+      const callId = oversizedCallId(data, isBinary, state.codec);
+      metrics.rejected.inc({ reason: "message_bytes" });
+      state.log.debug("message too large", { bytes: data.length, callId });
+      const error = { code: grpc.status.RESOURCE_EXHAUSTED, details: `Message of ${data.length} bytes exceeds the limit of ${limit}`, metadata: {} };
+      return send(chan, callId != null ? { type: "error", callId, error } : { type: "error", error });
+    }
+    let msg;
+    if (isBinary && state.codec.binary) {
+      state.log.trace("recv:binary", { bytes: data.length });
+      try {
+        msg = state.codec.decode(data);
+        if (!isEnvelope(msg)) throw new Error("not a map");
+      } catch (e) {
+        return send(chan, { type: "error", error: { code: grpc.status.INVALID_ARGUMENT, details: `Invalid ${state.codec.name} message: ${e.message}`, metadata: {} } });
+      }
+    } else if (isBinaryFrame(data, isBinary)) {
+      state.log.trace("recv:binary", { bytes: data.length });
+      try {
+        msg = decodeFrame(data);
+      } catch (e) {
+        return send(chan, { type: "error", error: { code: grpc.status.INVALID_ARGUMENT, details: `Invalid binary frame: ${e.message}`, metadata: {} } });
+      }
+    } else {
+      state.log.trace("recv", { bytes: Buffer.byteLength(data) });
+      try {
+        msg = JSON.parse(data.toString());
+      } catch (e) {
+        return send(chan, { type: "error", error: { code: grpc.status.INVALID_ARGUMENT, details: "Invalid JSON", metadata: {} } });
+      }
+      if (!isEnvelope(msg)) {
+        return send(chan, { type: "error", error: { code: grpc.status.INVALID_ARGUMENT, details: "Invalid JSON: message must be an object", metadata: {} } });
+      }
+    }
+    state.log.trace("parsed", { type: msg.type, callId: msg.callId });
+    // handled on arrival: messages right behind a resume must already go to the session
+    if (msg.type === "session" || msg.type === "ack" || msg.type === "resume") {
+      chan = onSessionControl(ws, chan, msg, identity, upgrade, connLog);
+      return;
+    }
+    // rate limits apply on arrival, so a flood never reaches the queue
+    if ((msg.type === "start" || msg.type === "write") && !state.buckets[msg.type].take()) {
+      metrics.rejected.inc({ reason: `${msg.type}_rate` });
+      state.log.debug("rate limited", { type: msg.type, callId: msg.callId });
+      return send(chan, { type: "error", callId: msg.callId, error: { code: grpc.status.RESOURCE_EXHAUSTED, details: `${msg.type} rate limit exceeded`, metadata: {} } });
+    }
+    // Process messages strictly in order: a `start` may await reflection and
+    // the `write`s sent right behind it must not overtake it.
+    const target = chan;
+    state.queue = state.queue
+      .then(() => dispatch(target, msg))
+      .catch((e) => state.log.error("dispatch error", { type: msg.type, callId: msg.callId, error: e }));
+  });
+
+  ws.on("close", (code) => {
+    metrics.wsConnections.dec();
+    const left = connectionsByIp.get(ip) - 1;
+    if (left > 0) connectionsByIp.set(ip, left);
+    else connectionsByIp.delete(ip);
+    connLog.info("WS connection closed", { code });
+    if (!chan.session) return cleanupWs(chan);
+    if (chan.ws !== ws) return; // the session moved to another connection
+    // a normal close (1000) ends the session; anything else may come back
+    if (code === 1000) {
+      sessions.close(chan);
+    } else {
+      sessions.detach(chan);
+      getWsState(chan).log.info("session detached", { graceMs: sessions.graceMs, calls: getWsState(chan).calls.size });
+    }
   });
+  // "close" always follows "error"
+  ws.on("error", (err) => connLog.warn("WS error", { error: err.message }));
 });
 
 server.listen(argv["ws-port"], () => {
-  log(`WebSocket server listening on :${argv["ws-port"]}`);
+  const scheme = argv["server-tls-cert"] ? "wss" : "ws";
+  logger.info(`WebSocket server listening on ${scheme}://:${argv["ws-port"]}`);
 });
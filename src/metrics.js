@@ -0,0 +1,91 @@
+"use strict";
+
+const client = require("prom-client");
+const grpc = require("@grpc/grpc-js");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "grpc_ws_bridge_process_" });
+
+const STATUS_NAMES = Object.fromEntries(Object.entries(grpc.status).map(([name, code]) => [code, name]));
+
+const wsConnections = new client.Gauge({
+  name: "grpc_ws_bridge_ws_connections",
+  help: "Open WebSocket connections",
+  registers: [registry],
+});
+
+const activeCalls = new client.Gauge({
+  name: "grpc_ws_bridge_active_calls",
+  help: "gRPC calls in flight by kind",
+  labelNames: ["kind"],
+  registers: [registry],
+});
+
+const callsStarted = new client.Counter({
+  name: "grpc_ws_bridge_calls_started_total",
+  help: "gRPC calls started",
+  labelNames: ["method", "kind"],
+  registers: [registry],
+});
+
+const callsFinished = new client.Counter({
+  name: "grpc_ws_bridge_calls_finished_total",
+  help: "gRPC calls finished by status code",
+  labelNames: ["method", "code"],
+  registers: [registry],
+});
+
+const messages = new client.Counter({
+  name: "grpc_ws_bridge_messages_total",
+  help: "gRPC messages relayed; in = client to backend, out = backend to client",
+  labelNames: ["direction"],
+  registers: [registry],
+});
+
+const bytes = new client.Counter({
+  name: "grpc_ws_bridge_ws_bytes_total",
+  help: "WebSocket frame bytes; in = received, out = sent",
+  labelNames: ["direction"],
+  registers: [registry],
+});
+
+const rejected = new client.Counter({
+  name: "grpc_ws_bridge_rejected_total",
+  help: "Connections and messages refused by a per-IP or per-connection limit",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+const callDuration = new client.Histogram({
+  name: "grpc_ws_bridge_call_duration_seconds",
+  help: "gRPC call latency from start to final status",
+  labelNames: ["method", "kind"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300],
+  registers: [registry],
+});
+
+/** Record a call start; pass the returned handle to callFinished */
+function callStarted(method, kind) {
+  callsStarted.inc({ method, kind });
+  activeCalls.inc({ kind });
+  return { method, kind, startedAt: process.hrtime.bigint(), done: false };
+}
+
+/** Record the final status of a call (idempotent per handle) */
+function callFinished(handle, code) {
+  if (!handle || handle.done) return;
+  handle.done = true;
+  activeCalls.dec({ kind: handle.kind });
+  callsFinished.inc({ method: handle.method, code: STATUS_NAMES[code] || String(code) });
+  callDuration.observe({ method: handle.method, kind: handle.kind }, Number(process.hrtime.bigint() - handle.startedAt) / 1e9);
+}
+
+module.exports = {
+  registry,
+  wsConnections,
+  messages,
+  bytes,
+  rejected,
+  callStarted,
+  callFinished,
+};
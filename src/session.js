@@ -0,0 +1,148 @@
+"use strict";
+
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const grpc = require("@grpc/grpc-js");
+
+/**
+ * What the call handlers talk to instead of a raw WebSocket: `readyState`,
+ * `bufferedAmount` and `send(data, { binary, seq })`.
+ *
+ * A plain channel forwards to its socket. Once a session is attached, every
+ * sent message is kept (by sequence number) until acknowledged, and the
+ * channel stays OPEN while no socket is attached so calls keep running and
+ * their output is buffered for replay.
+ */
+class Channel {
+  constructor(ws) {
+    this.ws = ws;
+    this.session = null;
+  }
+
+  get readyState() {
+    if (this.session) return this.session.expired ? WebSocket.CLOSED : WebSocket.OPEN;
+    return this.ws.readyState;
+  }
+
+  // while detached, unacknowledged output counts as buffered so response streams pause
+  get bufferedAmount() {
+    if (this.session && !this.ws) return this.session.pendingBytes;
+    return this.ws ? this.ws.bufferedAmount : 0;
+  }
+
+  send(data, options = {}) {
+    if (this.session && options.seq != null) this.session.record(options.seq, data, !!options.binary);
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(data, { binary: !!options.binary });
+  }
+}
+
+function dataLoss(details) {
+  const err = new Error(details);
+  err.code = grpc.status.DATA_LOSS;
+  err.details = details;
+  return err;
+}
+
+/** Outbound message log of a resumable session */
+class Session {
+  constructor({ subject, maxBufferBytes }) {
+    this.token = crypto.randomBytes(24).toString("base64url");
+    this.subject = subject || null;
+    this.maxBufferBytes = maxBufferBytes;
+    this.seq = 0;
+    this.floor = 0; // highest seq no longer replayable (acknowledged or dropped)
+    this.buffer = []; // [{ seq, data, binary, bytes }]
+    this.pendingBytes = 0;
+    this.expired = false;
+    this.graceTimer = null;
+  }
+
+  nextSeq() {
+    this.seq += 1;
+    return this.seq;
+  }
+
+  record(seq, data, binary) {
+    const bytes = typeof data === "string" ? Buffer.byteLength(data) : data.length;
+    this.buffer.push({ seq, data, binary, bytes });
+    this.pendingBytes += bytes;
+    // over the cap the oldest messages go; a client resuming from before them gets DATA_LOSS
+    while (this.pendingBytes > this.maxBufferBytes && this.buffer.length > 1) this.drop();
+  }
+
+  drop() {
+    const e = this.buffer.shift();
+    this.pendingBytes -= e.bytes;
+    this.floor = e.seq;
+  }
+
+  ack(seq) {
+    while (this.buffer.length > 0 && this.buffer[0].seq <= seq) this.drop();
+    if (seq > this.floor) this.floor = Math.min(seq, this.seq);
+  }
+
+  /** Messages after `ack`; throws DATA_LOSS if some of them are gone */
+  replayFrom(ack) {
+    if (!Number.isInteger(ack) || ack < 0 || ack > this.seq) throw dataLoss(`Invalid ack: ${ack}`);
+    if (ack < this.floor) throw dataLoss(`Messages after ${ack} are no longer buffered (oldest kept is ${this.floor + 1})`);
+    this.ack(ack);
+    return this.buffer.slice();
+  }
+}
+
+/**
+ * Sessions by token. A session's channel outlives its socket for `graceMs`
+ * after a disconnect; `onExpire(channel)` runs when nobody resumed in time.
+ */
+class SessionStore {
+  constructor({ graceMs, maxBufferBytes, onExpire }) {
+    this.graceMs = graceMs;
+    this.maxBufferBytes = maxBufferBytes;
+    this.onExpire = onExpire;
+    this.sessions = new Map(); // token => Channel
+  }
+
+  /** Turn a channel into a resumable session */
+  open(channel, identity) {
+    if (!channel.session) {
+      channel.session = new Session({ subject: identity && identity.subject, maxBufferBytes: this.maxBufferBytes });
+      this.sessions.set(channel.session.token, channel);
+    }
+    return channel.session;
+  }
+
+  /** Find the channel for `token` if `identity` may take it over */
+  lookup(token, identity) {
+    const channel = this.sessions.get(token);
+    if (!channel) return null;
+    const subject = (identity && identity.subject) || null;
+    return channel.session.subject === subject ? channel : null;
+  }
+
+  /** Move a session's channel onto a new socket; returns the previous socket, if any */
+  attach(channel, ws) {
+    clearTimeout(channel.session.graceTimer);
+    channel.session.graceTimer = null;
+    const previous = channel.ws;
+    channel.ws = ws;
+    return previous && previous !== ws ? previous : null;
+  }
+
+  /** Socket went away: keep the session for the grace period */
+  detach(channel) {
+    channel.ws = null;
+    clearTimeout(channel.session.graceTimer);
+    channel.session.graceTimer = setTimeout(() => this.close(channel), this.graceMs);
+  }
+
+  close(channel) {
+    const session = channel.session;
+    if (!session || session.expired) return;
+    clearTimeout(session.graceTimer);
+    session.expired = true;
+    this.sessions.delete(session.token);
+    this.onExpire(channel);
+  }
+}
+
+module.exports = { Channel, SessionStore };
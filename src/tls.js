@@ -0,0 +1,75 @@
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+
+function readContextOptions({ certFile, keyFile, clientCaFile }) {
+  const opts = { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile) };
+  if (clientCaFile) opts.ca = fs.readFileSync(clientCaFile);
+  return opts;
+}
+
+/**
+ * HTTP server for the bridge; HTTPS (and thereby wss://) when a cert and key
+ * are given.
+ *
+ * options:
+ *   certFile, keyFile  PEM server certificate (chain) and private key
+ *   clientCaFile       CA bundle to verify client certificates against
+ *   clientAuth         "require" (default): handshake fails without a valid
+ *                      client cert; "optional": clients may omit it, but a
+ *                      cert that is presented must verify
+ *   reloadIntervalMs   poll the files and swap in a new secure context when
+ *                      they change (0 disables)
+ *   log                logger
+ */
+function createServer(handler, options = {}) {
+  if (!options.certFile && !options.keyFile) return http.createServer(handler);
+  if (!options.certFile || !options.keyFile) throw new Error("Server TLS needs both a certificate and a key");
+  const { log } = options;
+  const verifyClients = !!options.clientCaFile;
+  const server = https.createServer({
+    ...readContextOptions(options),
+    requestCert: verifyClients,
+    rejectUnauthorized: verifyClients && options.clientAuth !== "optional",
+  }, handler);
+
+  if (verifyClients && options.clientAuth === "optional") {
+    server.on("secureConnection", (socket) => {
+      const cert = socket.getPeerCertificate();
+      if (cert && Object.keys(cert).length > 0 && !socket.authorized) {
+        if (log) log.warn("Rejected TLS client certificate", { peer: socket.remoteAddress, error: String(socket.authorizationError) });
+        socket.destroy();
+      }
+    });
+  }
+
+  const interval = options.reloadIntervalMs;
+  if (interval > 0) {
+    const files = [options.certFile, options.keyFile, options.clientCaFile].filter(Boolean);
+    let timer = null;
+    const reload = () => {
+      timer = null;
+      try {
+        // a cert and key rotated one after the other mismatch for a moment; the next change retries
+        server.setSecureContext(readContextOptions(options));
+        if (log) log.info("Server TLS certificate reloaded", { cert: options.certFile });
+      } catch (e) {
+        if (log) log.warn("Server TLS certificate reload failed; keeping current", { error: e.message });
+      }
+    };
+    // stat polling follows symlinks, so it also sees atomic swaps of mounted secrets
+    for (const file of files) {
+      fs.watchFile(file, { interval, persistent: false }, (cur, prev) => {
+        if (cur.mtimeMs === prev.mtimeMs && cur.ino === prev.ino && cur.size === prev.size) return;
+        clearTimeout(timer);
+        timer = setTimeout(reload, 200);
+      });
+    }
+    server.on("close", () => files.forEach((f) => fs.unwatchFile(f)));
+  }
+  return server;
+}
+
+module.exports = { createServer };
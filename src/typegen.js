@@ -0,0 +1,47 @@
+"use strict";
+
+const fs = require("fs");
+const yargs = require("yargs");
+const { hideBin } = require("yargs/helpers");
+
+const { GrpcEnv } = require("./grpc/factory");
+const { generateTypings } = require("./grpc/typings");
+const { loadConfigFile } = require("./config");
+
+// Writes .d.ts declarations for the payloads of the given protos, as the bridge serializes them
+const argv = yargs(hideBin(process.argv))
+  .usage("$0 --proto <file..> [--include <dir..>] [--out <file>]")
+  .option("proto", { type: "array", describe: "Path(s) to .proto file(s)", default: [] })
+  .option("include", { type: "array", describe: "Include directories for imports", default: [] })
+  .option("out", { type: "string", describe: "Output .d.ts file (default: stdout)" })
+  .option("bytes", { type: "string", choices: ["Uint8Array", "string"], default: "Uint8Array", describe: "Type of bytes fields in responses: Uint8Array (binaryResponses, the client default) or string (base64/hex JSON)" })
+  .option("json", { type: "string", choices: ["loader", "proto3"], default: "loader", describe: "JSON mapping the calls use (proto3: canonical mapping for well-known types)" })
+  .option("keep-case", { type: "boolean", default: false, describe: "Field names as written in the protos (serialization.keepCase)" })
+  .option("longs", { type: "string", choices: ["String", "Number"], default: "String", describe: "int64 representation in responses (serialization.longs)" })
+  .option("enums", { type: "string", choices: ["String", "Number"], default: "String", describe: "Enum representation in responses (serialization.enums)" })
+  .option("defaults", { type: "boolean", default: true, describe: "Responses carry every field (--no-defaults: serialization.defaults false)" })
+  .option("oneofs", { type: "boolean", default: true, describe: "Responses name the oneof member that is set (--no-oneofs: serialization.oneofs false)" })
+  .config("config", "The bridge's JSON or YAML config file; its proto and include are used", loadConfigFile)
+  .check((a) => (a.proto.length > 0 ? true : "--proto is required"))
+  .help()
+  .alias("h", "help")
+  .parse();
+
+const env = new GrpcEnv(argv.proto, argv.include);
+// the payloads of calls that send the same `serialization`
+const loaderOptions = {
+  ...env.loaderOptions,
+  keepCase: argv["keep-case"],
+  longs: argv.longs === "Number" ? Number : String,
+  enums: argv.enums === "Number" ? Number : String,
+  defaults: argv.defaults,
+  oneofs: argv.oneofs,
+};
+const root = loaderOptions.keepCase ? env.getOriginalRoot() : env.getRoot();
+const out = generateTypings(root, loaderOptions, { bytes: argv.bytes, json: argv.json });
+if (argv.out) {
+  fs.writeFileSync(argv.out, out);
+  console.error(`Wrote ${argv.out}`);
+} else {
+  process.stdout.write(out);
+}
@@ -0,0 +1,65 @@
+"use strict";
+
+const msgpack = require("@msgpack/msgpack");
+const { Encoder } = require("cbor-x");
+
+/**
+ * Envelope encodings, negotiated per connection through Sec-WebSocket-Protocol:
+ *
+ *   grpc-ws.json     text frames (the default; bytes as base64/hex, or binary frames)
+ *   grpc-ws.msgpack  MessagePack in binary frames, bytes fields as bin
+ *   grpc-ws.cbor     CBOR in binary frames, bytes fields as byte strings
+ *
+ * Text frames are always JSON, whatever was negotiated.
+ */
+
+// plain maps and byte strings, no cbor-x record/typed-array extensions
+const cbor = new Encoder({ useRecords: false, tagUint8Array: false, mapsAsObjects: true });
+
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+const JSON_CODEC = {
+  protocol: "grpc-ws.json",
+  name: "json",
+  binary: false,
+  encode: (msg) => JSON.stringify(msg),
+  decode: (data) => JSON.parse(data.toString()),
+};
+
+const CODECS = new Map([
+  [JSON_CODEC.protocol, JSON_CODEC],
+  ["grpc-ws.msgpack", {
+    protocol: "grpc-ws.msgpack",
+    name: "msgpack",
+    binary: true,
+    encode: (msg) => toBuffer(msgpack.encode(msg, { ignoreUndefined: true })),
+    decode: (data) => msgpack.decode(data),
+  }],
+  ["grpc-ws.cbor", {
+    protocol: "grpc-ws.cbor",
+    name: "cbor",
+    binary: true,
+    encode: (msg) => cbor.encode(msg),
+    decode: (data) => cbor.decode(data),
+  }],
+]);
+
+/**
+ * Subprotocol to accept from the offered ones (a Set, in the client's order):
+ * the first encoding we know, else the first offered one as before (token
+ * auth and the like), with JSON.
+ */
+function selectProtocol(offered) {
+  for (const p of offered) if (CODECS.has(p)) return p;
+  const [first] = offered;
+  return first === undefined ? false : first;
+}
+
+/** Codec for the accepted subprotocol */
+function codecFor(protocol) {
+  return CODECS.get(protocol) || JSON_CODEC;
+}
+
+module.exports = { JSON_CODEC, selectProtocol, codecFor };
@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * Binary WebSocket frame layout:
+ *
+ *   [uint32 BE header length][header JSON (utf-8)][body bytes]
+ *
+ * The header is a regular envelope message (`type`, `callId`, `payload`, ...)
+ * plus a description of where the body bytes belong in `payload`:
+ *   - `field: "a.b"`                      the whole body is one bytes field
+ *   - `fields: [{ path: "a.b", length }]` the body is several fields back to back
+ */
+
+const HEADER_LEN_BYTES = 4;
+
+// segments that would walk out of the payload into shared prototypes
+const UNSAFE_SEGMENTS = new Set(["__proto__", "constructor", "prototype"]);
+
+function splitPath(p) {
+  const parts = String(p).split(".").filter(Boolean);
+  const unsafe = parts.find((k) => UNSAFE_SEGMENTS.has(k));
+  if (unsafe) throw new Error(`Binary frame field path may not contain "${unsafe}"`);
+  return parts;
+}
+
+/** Set a value at a dot-path, creating intermediate objects as needed */
+function assignByPath(root, pathParts, value) {
+  let obj = root;
+  for (let i = 0; i < pathParts.length - 1; i++) {
+    const k = pathParts[i];
+    if (obj[k] == null || typeof obj[k] !== "object") obj[k] = {};
+    obj = obj[k];
+  }
+  obj[pathParts[pathParts.length - 1]] = value;
+}
+
+function isBinaryFrame(data, isBinary) {
+  return isBinary === true && data != null && data.length >= HEADER_LEN_BYTES;
+}
+
+/** Normalize ws message data (Buffer | ArrayBuffer | Buffer[]) into a Buffer */
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (Array.isArray(data)) return Buffer.concat(data);
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  return Buffer.from(data);
+}
+
+/** Decode a binary frame into an envelope message with Buffers spliced into payload */
+function decodeFrame(data) {
+  const buf = toBuffer(data);
+  if (buf.length < HEADER_LEN_BYTES) throw new Error("Binary frame too short");
+  const headerLen = buf.readUInt32BE(0);
+  const bodyStart = HEADER_LEN_BYTES + headerLen;
+  if (bodyStart > buf.length) throw new Error("Binary frame header length exceeds frame size");
+  const msg = JSON.parse(buf.toString("utf8", HEADER_LEN_BYTES, bodyStart));
+  if (msg == null || typeof msg !== "object") throw new Error("Binary frame header must be an object");
+  const body = buf.subarray(bodyStart);
+  const payload = msg.payload && typeof msg.payload === "object" ? msg.payload : {};
+
+  if (Array.isArray(msg.fields)) {
+    let off = 0;
+    for (const f of msg.fields) {
+      const parts = splitPath(f && f.path);
+      const length = Number(f && f.length);
+      if (parts.length === 0 || !Number.isInteger(length) || length < 0) {
+        throw new Error("Binary frame fields require path and length");
+      }
+      if (off + length > body.length) throw new Error(`Binary frame body too short for field ${f.path}`);
+      assignByPath(payload, parts, Buffer.from(body.subarray(off, off + length)));
+      off += length;
+    }
+  } else if (msg.field) {
+    const parts = splitPath(msg.field);
+    if (parts.length === 0) throw new Error("Binary frame field path is empty");
+    assignByPath(payload, parts, Buffer.from(body));
+  }
+
+  delete msg.field;
+  delete msg.fields;
+  msg.payload = payload;
+  return msg;
+}
+
+/**
+ * Move every Buffer out of `payload` (without mutating it).
+ * Returns { payload, fields: [{ path, buffer }] } where `payload` has the
+ * extracted Buffers replaced by null.
+ */
+function extractBuffers(payload) {
+  const fields = [];
+  function walk(v, path) {
+    if (Buffer.isBuffer(v) || v instanceof Uint8Array) {
+      fields.push({ path: path.join("."), buffer: Buffer.from(v.buffer, v.byteOffset, v.byteLength) });
+      return null;
+    }
+    if (Array.isArray(v)) return v.map((item, i) => walk(item, [...path, String(i)]));
+    if (v && typeof v === "object") {
+      const out = {};
+      for (const [k, item] of Object.entries(v)) out[k] = walk(item, [...path, k]);
+      return out;
+    }
+    return v;
+  }
+  const stripped = walk(payload, []);
+  return { payload: stripped, fields };
+}
+
+/** Encode an envelope message whose payload may contain Buffers into a binary frame */
+function encodeFrame(msg) {
+  const { payload, fields } = extractBuffers(msg.payload);
+  const header = { ...msg, payload, fields: fields.map((f) => ({ path: f.path, length: f.buffer.length })) };
+  const headerBuf = Buffer.from(JSON.stringify(header), "utf8");
+  const lenBuf = Buffer.alloc(HEADER_LEN_BYTES);
+  lenBuf.writeUInt32BE(headerBuf.length, 0);
+  return Buffer.concat([lenBuf, headerBuf, ...fields.map((f) => f.buffer)]);
+}
+
+/** True if the value contains at least one Buffer/Uint8Array */
+function hasBuffers(v) {
+  if (Buffer.isBuffer(v) || v instanceof Uint8Array) return true;
+  if (Array.isArray(v)) return v.some(hasBuffers);
+  if (v && typeof v === "object") return Object.values(v).some(hasBuffers);
+  return false;
+}
+
+module.exports = { isBinaryFrame, decodeFrame, encodeFrame, extractBuffers, hasBuffers };
@@ -0,0 +1,115 @@
+"use strict";
+
+/**
+ * gRPC-Web wire format (https://github.com/grpc/grpc/blob/master/doc/PROTOCOL-WEB.md):
+ *
+ *   [flags: uint8][length: uint32 BE][bytes]
+ *
+ * flags 0x00 is a message, 0x80 the trailers frame that ends a response
+ * ("key: value\r\n" lines); 0x01 marks a compressed message. The -text
+ * variants carry the same bytes base64-encoded, in independently padded chunks.
+ */
+
+const FRAME_HEADER_BYTES = 5;
+const TRAILERS_FLAG = 0x80;
+const COMPRESSED_FLAG = 0x01;
+
+// request headers that describe the HTTP exchange rather than the call
+const TRANSPORT_HEADERS = new Set([
+  "host", "connection", "keep-alive", "transfer-encoding", "upgrade", "te", "trailer",
+  "content-type", "content-length", "accept", "accept-encoding", "accept-language",
+  "user-agent", "x-user-agent", "x-grpc-web", "grpc-timeout", "grpc-encoding", "grpc-accept-encoding",
+  "origin", "referer", "cookie", "pragma", "cache-control", "dnt", "priority",
+]);
+
+function isGrpcWebRequest(req) {
+  return String(req.headers["content-type"] || "").toLowerCase().startsWith("application/grpc-web");
+}
+
+function isTextRequest(req) {
+  return String(req.headers["content-type"] || "").toLowerCase().startsWith("application/grpc-web-text");
+}
+
+/** Decode a -text body: base64 chunks, each with its own padding */
+function decodeTextBody(text) {
+  const chunks = String(text).replace(/\s+/g, "").match(/[^=]+=*|=+/g) || [];
+  return Buffer.concat(chunks.map((c) => Buffer.from(c, "base64")));
+}
+
+/** Split a request body into its message frames; throws on truncated or compressed frames */
+function decodeFrames(buf) {
+  const messages = [];
+  let off = 0;
+  while (off < buf.length) {
+    if (buf.length - off < FRAME_HEADER_BYTES) throw new Error("Truncated gRPC-Web frame header");
+    const flags = buf[off];
+    const length = buf.readUInt32BE(off + 1);
+    const start = off + FRAME_HEADER_BYTES;
+    if (start + length > buf.length) throw new Error("Truncated gRPC-Web frame");
+    if (flags & COMPRESSED_FLAG) throw new Error("Compressed gRPC-Web messages are not supported");
+    if (!(flags & TRAILERS_FLAG)) messages.push(buf.subarray(start, start + length));
+    off = start + length;
+  }
+  return messages;
+}
+
+function encodeFrame(flags, body) {
+  const header = Buffer.alloc(FRAME_HEADER_BYTES);
+  header[0] = flags;
+  header.writeUInt32BE(body.length, 1);
+  return Buffer.concat([header, body]);
+}
+
+function encodeMessageFrame(message) {
+  return encodeFrame(0, message);
+}
+
+/** Trailers frame from a status object ({ code, details, metadata }) */
+function encodeTrailersFrame(status, encodeMessage) {
+  const lines = [`grpc-status:${status.code}`, `grpc-message:${encodeMessage(status.details)}`];
+  for (const [key, value] of Object.entries(status.metadata || {})) {
+    for (const v of [].concat(value)) lines.push(`${key}:${v}`);
+  }
+  return encodeFrame(TRAILERS_FLAG, Buffer.from(lines.map((l) => `${l}\r\n`).join(""), "utf8"));
+}
+
+/** Call metadata from the request headers, without the transport ones and `exclude` */
+function headersToMetadata(headers, exclude = []) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    const key = name.toLowerCase();
+    if (TRANSPORT_HEADERS.has(key) || exclude.includes(key) || key.startsWith("sec-") || key.startsWith("access-control-")) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+// upstream response headers the HTTP response sets itself
+const RESPONSE_TRANSPORT_HEADERS = new Set(["content-type", "content-length", "transfer-encoding", "connection", "date", "grpc-encoding", "grpc-accept-encoding"]);
+
+/** Response metadata (metadataToObject form) as response headers */
+function metadataToHeaders(metadata) {
+  return Object.fromEntries(Object.entries(metadata || {}).filter(([key]) => !RESPONSE_TRANSPORT_HEADERS.has(key)));
+}
+
+const TIMEOUT_UNITS_MS = { H: 3600000, M: 60000, S: 1000, m: 1, u: 0.001, n: 0.000001 };
+
+/** grpc-timeout header ("<up to 8 digits><unit>") in ms; undefined when absent */
+function parseGrpcTimeout(value) {
+  if (value == null || value === "") return undefined;
+  const m = /^(\d{1,8})([HMSmun])$/.exec(String(value).trim());
+  if (!m) throw new Error(`Invalid grpc-timeout: ${value}`);
+  return Number(m[1]) * TIMEOUT_UNITS_MS[m[2]];
+}
+
+module.exports = {
+  isGrpcWebRequest,
+  isTextRequest,
+  decodeTextBody,
+  decodeFrames,
+  encodeMessageFrame,
+  encodeTrailersFrame,
+  headersToMetadata,
+  metadataToHeaders,
+  parseGrpcTimeout,
+};
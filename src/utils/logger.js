@@ -0,0 +1,124 @@
+"use strict";
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+
+const REDACTED = "[REDACTED]";
+
+// metadata keys that carry credentials; always redacted
+const DEFAULT_REDACT_KEYS = ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"];
+
+function keyMatches(pattern, key) {
+  return pattern.endsWith("*") ? key.startsWith(pattern.slice(0, -1)) : pattern === key;
+}
+
+/**
+ * Structured logger.
+ *
+ * options:
+ *   name          logger name printed with every line
+ *   level         error | warn | info | debug | trace
+ *   format        "text" (human readable) or "json" (one object per line)
+ *   redactKeys    extra metadata keys whose values are replaced (supports
+ *                 "prefix*"), on top of DEFAULT_REDACT_KEYS
+ *   redactFields  payload field names whose values are replaced, at any depth
+ *   maxPreview    max characters of a payload preview
+ *
+ * Field conventions: `metadata` is treated as gRPC metadata and `payload` as
+ * a message body; both are redacted, and payloads are reduced to a preview.
+ */
+class Logger {
+  constructor(options = {}, bindings = {}) {
+    this.options = {
+      name: "grpc-ws-bridge",
+      level: "info",
+      format: "text",
+      redactKeys: [],
+      redactFields: [],
+      maxPreview: 300,
+      write: (line) => process.stdout.write(line + "\n"),
+      ...options,
+    };
+    if (!(this.options.level in LEVELS)) throw new Error(`Unknown log level: ${this.options.level}`);
+    this.threshold = LEVELS[this.options.level];
+    this.redactKeys = DEFAULT_REDACT_KEYS.concat(this.options.redactKeys).map((k) => String(k).toLowerCase());
+    this.redactFields = new Set(this.options.redactFields.map(String));
+    this.bindings = bindings;
+  }
+
+  /** Logger that adds `bindings` (e.g. correlation IDs) to every entry */
+  child(bindings) {
+    const c = Object.create(Logger.prototype);
+    Object.assign(c, this, { bindings: { ...this.bindings, ...bindings } });
+    return c;
+  }
+
+  enabled(level) {
+    return LEVELS[level] <= this.threshold;
+  }
+
+  redactMetadata(md) {
+    if (!md || typeof md !== "object") return md;
+    const out = {};
+    for (const [k, v] of Object.entries(md)) {
+      out[k] = this.redactKeys.some((p) => keyMatches(p, k.toLowerCase())) ? REDACTED : v;
+    }
+    return out;
+  }
+
+  redactPayload(v) {
+    if (v instanceof Uint8Array) return `<${v.length} bytes>`;
+    if (Array.isArray(v)) return v.map((x) => this.redactPayload(x));
+    if (v && typeof v === "object") {
+      const out = {};
+      for (const [k, x] of Object.entries(v)) out[k] = this.redactFields.has(k) ? REDACTED : this.redactPayload(x);
+      return out;
+    }
+    return v;
+  }
+
+  preview(v) {
+    let s;
+    try {
+      s = typeof v === "string" ? v : JSON.stringify(v);
+    } catch (_) {
+      s = String(v);
+    }
+    if (s === undefined) return undefined;
+    const max = this.options.maxPreview;
+    return s.length > max ? s.slice(0, max) + "…" : s;
+  }
+
+  prepare(fields) {
+    const out = { ...this.bindings };
+    for (const [k, v] of Object.entries(fields || {})) {
+      if (v === undefined) continue;
+      if (v instanceof Error) out[k] = v.stack || v.message;
+      else if (k === "metadata") out[k] = this.redactMetadata(v);
+      else if (k === "payload") out[k] = this.preview(this.redactPayload(v));
+      else out[k] = v;
+    }
+    return out;
+  }
+
+  log(level, msg, fields) {
+    if (!this.enabled(level)) return;
+    const time = new Date().toISOString();
+    const data = this.prepare(fields);
+    let line;
+    if (this.options.format === "json") {
+      line = JSON.stringify({ time, level, name: this.options.name, msg, ...data });
+    } else {
+      const rest = Object.keys(data).length ? " " + JSON.stringify(data) : "";
+      line = `${time} [${this.options.name}] ${level.toUpperCase()} ${msg}${rest}`;
+    }
+    this.options.write(line);
+  }
+
+  error(msg, fields) { this.log("error", msg, fields); }
+  warn(msg, fields) { this.log("warn", msg, fields); }
+  info(msg, fields) { this.log("info", msg, fields); }
+  debug(msg, fields) { this.log("debug", msg, fields); }
+  trace(msg, fields) { this.log("trace", msg, fields); }
+}
+
+module.exports = { Logger, LOG_LEVELS: Object.keys(LEVELS), DEFAULT_REDACT_KEYS };
@@ -53,5 +53,111 @@ function statusObject(errOrStatus) {
   };
 }
 
-module.exports = { objectToMetadata, metadataToObject, statusObject };
+// a lone surrogate has no UTF-8 form; it goes out as U+FFFD
+const ENCODED_REPLACEMENT_CHAR = encodeURIComponent("\uFFFD");
+
+/** Percent-encode a status message for a grpc-message style header (printable ASCII but "%" kept) */
+function encodeGrpcMessage(details) {
+  return String(details || "").replace(/[^ -$&-~]/gu, (c) => {
+    try {
+      return encodeURIComponent(c);
+    } catch (_) {
+      return ENCODED_REPLACEMENT_CHAR;
+    }
+  });
+}
+
+function keyMatches(pattern, key) {
+  return pattern.endsWith("*") ? key.startsWith(pattern.slice(0, -1)) : pattern === key;
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx <= 0) continue;
+    const name = part.slice(0, idx).trim();
+    const raw = part.slice(idx + 1).trim();
+    try { out[name] = decodeURIComponent(raw); } catch (_) { out[name] = raw; }
+  }
+  return out;
+}
+
+function claimValue(claims, path) {
+  const v = String(path).split(".").reduce((acc, k) => (acc == null ? undefined : acc[k]), claims);
+  if (v == null) return undefined;
+  if (Array.isArray(v)) return v.map((x) => (typeof x === "object" ? JSON.stringify(x) : String(x)));
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+/**
+ * Normalize metadata forwarding rules:
+ *   {
+ *     "headers": { "<upgrade header>": "<metadata key>" },
+ *     "cookies": { "<cookie name>": "<metadata key>" },
+ *     "peer": "<metadata key for the client address>",
+ *     "claims": { "<claim path>": "<metadata key>" },
+ *     "strip": ["<key or prefix*>"],   // silently dropped from client metadata
+ *     "forbid": ["<key or prefix*>"]   // client metadata containing these is rejected
+ *   }
+ */
+function compileMetadataRules(config = {}) {
+  const lower = (m) => Object.fromEntries(Object.entries(m || {}).map(([k, v]) => [String(k).toLowerCase(), String(v).toLowerCase()]));
+  return {
+    headers: lower(config.headers),
+    cookies: Object.fromEntries(Object.entries(config.cookies || {}).map(([k, v]) => [k, String(v).toLowerCase()])),
+    peer: config.peer ? String(config.peer).toLowerCase() : null,
+    claims: Object.fromEntries(Object.entries(config.claims || {}).map(([k, v]) => [k, String(v).toLowerCase()])),
+    strip: (config.strip || []).map((k) => String(k).toLowerCase()),
+    forbid: (config.forbid || []).map((k) => String(k).toLowerCase()),
+  };
+}
+
+/**
+ * Merge client-supplied metadata (plain object) with values derived from the
+ * upgrade request and verified identity. Server-derived keys always replace
+ * client values. Throws PERMISSION_DENIED if the client sent a forbidden key.
+ *
+ * ctx: { headers, peer, claims }
+ */
+function applyMetadataRules(rules, clientObj = {}, ctx = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(clientObj || {})) {
+    const k = key.toLowerCase();
+    if (rules.forbid.some((p) => keyMatches(p, k))) {
+      const err = new Error(`Metadata key not allowed: ${k}`);
+      err.code = grpc.status.PERMISSION_DENIED;
+      err.details = err.message;
+      throw err;
+    }
+    if (rules.strip.some((p) => keyMatches(p, k))) continue;
+    out[k] = value;
+  }
+
+  const headers = ctx.headers || {};
+  for (const [header, key] of Object.entries(rules.headers)) {
+    if (headers[header] != null) out[key] = headers[header];
+  }
+  if (Object.keys(rules.cookies).length > 0) {
+    const cookies = parseCookies(headers.cookie);
+    for (const [name, key] of Object.entries(rules.cookies)) {
+      if (cookies[name] != null) out[key] = cookies[name];
+    }
+  }
+  if (rules.peer && ctx.peer) out[rules.peer] = ctx.peer;
+  for (const [path, key] of Object.entries(rules.claims)) {
+    const v = ctx.claims ? claimValue(ctx.claims, path) : undefined;
+    if (v !== undefined) out[key] = v;
+  }
+  return out;
+}
+
+module.exports = {
+  objectToMetadata,
+  metadataToObject,
+  statusObject,
+  encodeGrpcMessage,
+  compileMetadataRules,
+  applyMetadataRules,
+};
 
@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+ * Token bucket: `rate` tokens per second, holding at most `burst`.
+ * A rate of 0 (or less) disables limiting.
+ */
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = Math.max(1, burst || rate);
+    this.tokens = this.burst;
+    this.at = Date.now();
+  }
+
+  /** Take one token; false when the bucket is empty */
+  take() {
+    if (!(this.rate > 0)) return true;
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.at) / 1000) * this.rate);
+    this.at = now;
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  /** Milliseconds until the bucket is full again (0 when it is, or limiting is off) */
+  refillMs() {
+    if (!(this.rate > 0)) return 0;
+    const tokens = this.tokens + ((Date.now() - this.at) / 1000) * this.rate;
+    return tokens >= this.burst ? 0 : Math.ceil(((this.burst - tokens) / this.rate) * 1000);
+  }
+}
+
+module.exports = { TokenBucket };
@@ -0,0 +1,181 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { verifyJwt } = require("../src/auth/jwt");
+const { createAuthenticator } = require("../src/auth");
+
+const SECRET = Buffer.from("test-secret-0123456789");
+const now = () => Math.floor(Date.now() / 1000);
+
+function b64url(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString("base64url");
+}
+
+/** Compact JWT; `sign(data)` returns the signature bytes */
+function makeJwt(header, claims, sign) {
+  const data = `${b64url(header)}.${b64url(claims)}`;
+  return `${data}.${sign ? sign(Buffer.from(data)).toString("base64url") : ""}`;
+}
+
+const hs256 = (secret) => (data) => crypto.createHmac("sha256", secret).update(data).digest();
+const rs256 = (privateKey) => (data) => crypto.sign("sha256", data, privateKey);
+const es256 = (privateKey) => (data) => crypto.sign("sha256", data, { key: privateKey, dsaEncoding: "ieee-p1363" });
+
+function fakeRequest(headers = {}, url = "/") {
+  return { url, headers };
+}
+
+test("verifyJwt", async (t) => {
+  const rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const otherRsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const hmacKeys = { secret: SECRET, keys: [] };
+  const publicKeys = { secret: null, keys: [{ kid: "rsa", key: rsa.publicKey }, { kid: "ec", key: ec.publicKey }] };
+
+  await t.test("accepts a valid HS256 token and returns its claims", () => {
+    const token = makeJwt({ alg: "HS256", typ: "JWT" }, { sub: "alice", exp: now() + 60 }, hs256(SECRET));
+    assert.strictEqual(verifyJwt(token, hmacKeys).sub, "alice");
+  });
+
+  await t.test("accepts RS256 and ES256 tokens signed with a configured key", () => {
+    assert.strictEqual(verifyJwt(makeJwt({ alg: "RS256", kid: "rsa" }, { sub: "r" }, rs256(rsa.privateKey)), publicKeys).sub, "r");
+    assert.strictEqual(verifyJwt(makeJwt({ alg: "ES256", kid: "ec" }, { sub: "e" }, es256(ec.privateKey)), publicKeys).sub, "e");
+  });
+
+  await t.test("rejects alg none", () => {
+    const token = makeJwt({ alg: "none" }, { sub: "mallory" });
+    assert.throws(() => verifyJwt(token, hmacKeys), /Unsupported JWT alg/);
+    assert.throws(() => verifyJwt(token, publicKeys), /Unsupported JWT alg/);
+  });
+
+  await t.test("rejects unknown algorithms", () => {
+    const token = makeJwt({ alg: "HS1" }, { sub: "mallory" }, hs256(SECRET));
+    assert.throws(() => verifyJwt(token, hmacKeys), /Invalid JWT signature/);
+  });
+
+  await t.test("rejects an expired token, allowing the clock tolerance", () => {
+    const expired = makeJwt({ alg: "HS256" }, { sub: "alice", exp: now() - 120 }, hs256(SECRET));
+    assert.throws(() => verifyJwt(expired, hmacKeys), /JWT expired/);
+    const justExpired = makeJwt({ alg: "HS256" }, { sub: "alice", exp: now() - 5 }, hs256(SECRET));
+    assert.strictEqual(verifyJwt(justExpired, hmacKeys).sub, "alice");
+    assert.throws(() => verifyJwt(justExpired, hmacKeys, { clockToleranceSec: 0 }), /JWT expired/);
+  });
+
+  await t.test("rejects a token that is not valid yet", () => {
+    const token = makeJwt({ alg: "HS256" }, { sub: "alice", nbf: now() + 600 }, hs256(SECRET));
+    assert.throws(() => verifyJwt(token, hmacKeys), /JWT not yet valid/);
+  });
+
+  await t.test("checks the audience and issuer", () => {
+    const token = makeJwt({ alg: "HS256" }, { sub: "alice", aud: ["bridge", "other"], iss: "idp" }, hs256(SECRET));
+    assert.strictEqual(verifyJwt(token, hmacKeys, { audience: "bridge", issuer: "idp" }).sub, "alice");
+    assert.throws(() => verifyJwt(token, hmacKeys, { audience: "elsewhere" }), /JWT audience mismatch/);
+    assert.throws(() => verifyJwt(token, hmacKeys, { issuer: "evil" }), /JWT issuer mismatch/);
+    const noAud = makeJwt({ alg: "HS256" }, { sub: "alice" }, hs256(SECRET));
+    assert.throws(() => verifyJwt(noAud, hmacKeys, { audience: "bridge" }), /JWT audience mismatch/);
+  });
+
+  await t.test("rejects a bad signature", () => {
+    const token = makeJwt({ alg: "HS256" }, { sub: "alice" }, hs256(SECRET));
+    const [header, , sig] = token.split(".");
+    const tampered = `${header}.${b64url({ sub: "admin" })}.${sig}`;
+    assert.throws(() => verifyJwt(tampered, hmacKeys), /Invalid JWT signature/);
+    assert.throws(() => verifyJwt(`${header}.${token.split(".")[1]}.`, hmacKeys), /Invalid JWT signature/);
+  });
+
+  await t.test("rejects a token signed with a wrong key", () => {
+    const token = makeJwt({ alg: "HS256" }, { sub: "alice" }, hs256(Buffer.from("another-secret")));
+    assert.throws(() => verifyJwt(token, hmacKeys), /Invalid JWT signature/);
+    const rsToken = makeJwt({ alg: "RS256" }, { sub: "alice" }, rs256(otherRsa.privateKey));
+    assert.throws(() => verifyJwt(rsToken, publicKeys), /Invalid JWT signature/);
+  });
+
+  await t.test("rejects HS256 signed with a public key when only public keys are configured", () => {
+    const pem = rsa.publicKey.export({ type: "spki", format: "pem" });
+    const token = makeJwt({ alg: "HS256" }, { sub: "mallory" }, hs256(pem));
+    assert.throws(() => verifyJwt(token, publicKeys), /Invalid JWT signature/);
+  });
+
+  await t.test("rejects a token whose kid names another key", () => {
+    const token = makeJwt({ alg: "RS256", kid: "ec" }, { sub: "alice" }, rs256(rsa.privateKey));
+    assert.throws(() => verifyJwt(token, publicKeys), /Invalid JWT signature/);
+  });
+
+  await t.test("rejects malformed tokens", () => {
+    assert.throws(() => verifyJwt("not-a-jwt", hmacKeys), /Malformed JWT/);
+    assert.throws(() => verifyJwt("a.b.c", hmacKeys), /Malformed JWT/);
+  });
+});
+
+test("createAuthenticator", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "grpc-ws-auth-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = (name, content) => {
+    const p = path.join(dir, name);
+    fs.writeFileSync(p, content);
+    return p;
+  };
+  const keysArray = file("keys.json", JSON.stringify(["k-one", "k-two"]));
+  const keysObject = file("keys-claims.json", JSON.stringify({ "k-svc": { sub: "svc", role: "admin" } }));
+  const secretFile = file("secret", SECRET);
+
+  await t.test("is disabled without any method configured", async () => {
+    const auth = createAuthenticator();
+    assert.strictEqual(auth.enabled, false);
+    assert.deepStrictEqual(await auth.authenticate(fakeRequest()), { method: "none", subject: null, claims: {} });
+  });
+
+  await t.test("matches API keys from a list, by header or query", async () => {
+    const auth = createAuthenticator({ apiKeysFile: keysArray });
+    assert.strictEqual(auth.enabled, true);
+    assert.deepStrictEqual(await auth.authenticate(fakeRequest({ "x-api-key": "k-two" })), { method: "api-key", subject: "api-key-1", claims: { sub: "api-key-1" } });
+    assert.strictEqual((await auth.authenticate(fakeRequest({}, "/?api_key=k-one"))).subject, "api-key-0");
+  });
+
+  await t.test("matches API keys with claims", async () => {
+    const auth = createAuthenticator({ apiKeysFile: keysObject });
+    const identity = await auth.authenticate(fakeRequest({ "x-api-key": "k-svc" }));
+    assert.deepStrictEqual(identity, { method: "api-key", subject: "svc", claims: { sub: "svc", role: "admin" } });
+  });
+
+  await t.test("rejects unknown, missing and near-miss API keys", async () => {
+    const auth = createAuthenticator({ apiKeysFile: keysArray });
+    assert.strictEqual(await auth.authenticate(fakeRequest({ "x-api-key": "k-three" })), null);
+    assert.strictEqual(await auth.authenticate(fakeRequest({ "x-api-key": "k-one " })), null);
+    assert.strictEqual(await auth.authenticate(fakeRequest()), null);
+  });
+
+  await t.test("accepts a bearer or access_token JWT and applies issuer and audience", async () => {
+    const auth = createAuthenticator({ jwtSecretFile: secretFile, jwtAudience: "bridge", jwtIssuer: "idp" });
+    const good = makeJwt({ alg: "HS256" }, { sub: "alice", aud: "bridge", iss: "idp", exp: now() + 60 }, hs256(SECRET));
+    assert.deepStrictEqual(await auth.authenticate(fakeRequest({ authorization: `Bearer ${good}` })), {
+      method: "jwt",
+      subject: "alice",
+      claims: { sub: "alice", aud: "bridge", iss: "idp", exp: JSON.parse(Buffer.from(good.split(".")[1], "base64url")).exp },
+    });
+    assert.strictEqual((await auth.authenticate(fakeRequest({}, `/?access_token=${good}`))).subject, "alice");
+    const wrongAud = makeJwt({ alg: "HS256" }, { sub: "alice", aud: "other", iss: "idp" }, hs256(SECRET));
+    assert.strictEqual(await auth.authenticate(fakeRequest({ authorization: `Bearer ${wrongAud}` })), null);
+    const none = makeJwt({ alg: "none" }, { sub: "alice", aud: "bridge", iss: "idp" });
+    assert.strictEqual(await auth.authenticate(fakeRequest({ authorization: `Bearer ${none}` })), null);
+  });
+
+  await t.test("falls back to the custom verifier and exposes authorize", async () => {
+    const verifier = file("verifier.js", `
+      module.exports = {
+        async verify(req, creds) { return creds.token === "let-me-in" ? { sub: "custom" } : null; },
+        authorize(identity, call) { return call.method.startsWith("demo."); },
+      };
+    `);
+    const auth = createAuthenticator({ apiKeysFile: keysArray, verifier });
+    assert.strictEqual((await auth.authenticate(fakeRequest({ authorization: "Bearer let-me-in" }))).method, "custom");
+    assert.strictEqual(await auth.authenticate(fakeRequest({ authorization: "Bearer nope" })), null);
+    assert.strictEqual(auth.authorize(null, { method: "demo.Greeter/SayHello" }), true);
+    assert.strictEqual(auth.authorize(null, { method: "admin.Ops/Drop" }), false);
+  });
+});
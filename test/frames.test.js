@@ -0,0 +1,63 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const serverFrames = require("../src/utils/frames");
+const clientFrames = require("../src/client/frames");
+
+/** Binary frame with a JSON header followed by `body` */
+function frame(header, body = Buffer.from("xx")) {
+  const json = Buffer.from(JSON.stringify(header));
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(json.length);
+  return Buffer.concat([len, json, body]);
+}
+
+const UNSAFE_PATHS = ["__proto__.polluted", "constructor.prototype.polluted", "a.__proto__.polluted", "prototype", "payload.constructor"];
+
+function assertNotPolluted() {
+  assert.strictEqual(({}).polluted, undefined);
+  assert.strictEqual(Object.prototype.polluted, undefined);
+}
+
+test("server decodeFrame", async (t) => {
+  await t.test("splices the body into payload at the field paths", () => {
+    const msg = serverFrames.decodeFrame(frame({ type: "write", callId: "a", payload: { keep: 1 }, fields: [{ path: "a.b", length: 1 }, { path: "c", length: 1 }] }));
+    assert.deepStrictEqual(msg, { type: "write", callId: "a", payload: { keep: 1, a: { b: Buffer.from("x") }, c: Buffer.from("x") } });
+    assert.deepStrictEqual(serverFrames.decodeFrame(frame({ type: "write", field: "audio" })).payload, { audio: Buffer.from("xx") });
+  });
+
+  for (const p of UNSAFE_PATHS) {
+    await t.test(`rejects the field path ${p}`, () => {
+      assert.throws(() => serverFrames.decodeFrame(frame({ type: "write", callId: "a", field: p })), /may not contain/);
+      assert.throws(() => serverFrames.decodeFrame(frame({ type: "write", callId: "a", fields: [{ path: p, length: 2 }] })), /may not contain/);
+      assertNotPolluted();
+    });
+  }
+
+  await t.test("round-trips encodeFrame", () => {
+    const msg = { type: "data", callId: "c", payload: { blob: Buffer.from([1, 2, 3]), nested: { more: Buffer.from([4]) }, n: 1 } };
+    assert.deepStrictEqual(serverFrames.decodeFrame(serverFrames.encodeFrame(msg)), msg);
+  });
+});
+
+test("client decodeFrame", async (t) => {
+  await t.test("splices the body into payload as Uint8Array", () => {
+    const msg = clientFrames.decodeFrame(new Uint8Array(frame({ type: "data", callId: "a", fields: [{ path: "a.b", length: 2 }] })));
+    assert.deepStrictEqual(Array.from(msg.payload.a.b), [120, 120]);
+  });
+
+  for (const p of UNSAFE_PATHS) {
+    await t.test(`rejects the field path ${p}`, () => {
+      assert.throws(() => clientFrames.decodeFrame(frame({ type: "data", callId: "a", fields: [{ path: p, length: 2 }] })), /may not contain/);
+      assertNotPolluted();
+    });
+  }
+
+  await t.test("round-trips encodeFrame", () => {
+    const msg = { type: "write", callId: "c", payload: { blob: new Uint8Array([1, 2, 3]), n: 1 } };
+    const decoded = clientFrames.decodeFrame(clientFrames.encodeFrame(msg));
+    assert.deepStrictEqual(Array.from(decoded.payload.blob), [1, 2, 3]);
+    assert.strictEqual(decoded.payload.n, 1);
+  });
+});
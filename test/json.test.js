@@ -0,0 +1,37 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const protobuf = require("protobufjs");
+const grpc = require("@grpc/grpc-js");
+const { toProto3Json, fromProto3Json } = require("../src/grpc/json");
+
+function messageWithTimestamp() {
+  const root = new protobuf.Root();
+  root.addJSON(protobuf.common.get("google/protobuf/timestamp.proto").nested);
+  protobuf.parse('syntax = "proto3"; package t; message M { google.protobuf.Timestamp at = 1; }', root);
+  root.resolveAll();
+  return root.lookupType("t.M");
+}
+
+test("Timestamp proto3 JSON", async (t) => {
+  const M = messageWithTimestamp();
+
+  await t.test("formats seconds and nanos as RFC 3339", () => {
+    assert.deepStrictEqual(toProto3Json(M, { at: { seconds: "1700000000", nanos: 120000000 } }), { at: "2023-11-14T22:13:20.120Z" });
+    assert.deepStrictEqual(toProto3Json(M, { at: { seconds: "-62135596800", nanos: 0 } }), { at: "0001-01-01T00:00:00Z" });
+    assert.deepStrictEqual(toProto3Json(M, { at: { seconds: "253402300799", nanos: 999999999 } }), { at: "9999-12-31T23:59:59.999999999Z" });
+  });
+
+  await t.test("refuses responses outside years 0001-9999", () => {
+    for (const seconds of ["253402300800", "-62135596801", "1e20"]) {
+      assert.throws(() => toProto3Json(M, { at: { seconds, nanos: 0 } }), /outside 0001-01-01\.\.9999-12-31/);
+    }
+    assert.throws(() => toProto3Json(M, { at: { seconds: "1", nanos: -1 } }), /nanos -1 outside/);
+  });
+
+  await t.test("rejects requests outside years 0001-9999 as INVALID_ARGUMENT", () => {
+    assert.throws(() => fromProto3Json(M, { at: "10000-01-01T00:00:00Z" }), (err) => err.code === grpc.status.INVALID_ARGUMENT);
+    assert.deepStrictEqual(fromProto3Json(M, { at: "1970-01-01T00:00:01.5Z" }), { at: { seconds: "1", nanos: 500000000 } });
+  });
+});
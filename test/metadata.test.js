@@ -0,0 +1,18 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { encodeGrpcMessage } = require("../src/utils/metadata");
+
+test("encodeGrpcMessage", async (t) => {
+  await t.test("keeps printable ASCII and percent-encodes the rest", () => {
+    assert.strictEqual(encodeGrpcMessage("not found: a/b"), "not found: a/b");
+    assert.strictEqual(encodeGrpcMessage("100% é\n"), "100%25 %C3%A9%0A");
+    assert.strictEqual(encodeGrpcMessage(undefined), "");
+  });
+
+  await t.test("sends lone surrogates as U+FFFD", () => {
+    assert.strictEqual(encodeGrpcMessage("bad \uD800 and \uDC00"), "bad %EF%BF%BD and %EF%BF%BD");
+    assert.strictEqual(encodeGrpcMessage("ok 😀"), "ok %F0%9F%98%80");
+  });
+});
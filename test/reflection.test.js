@@ -0,0 +1,101 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+const { ReflectionService } = require("@grpc/reflection");
+const { GrpcEnv } = require("../src/grpc/factory");
+
+const DEMO_PROTO = path.join(__dirname, "..", "examples", "protos", "demo.proto");
+
+// reflection-enabled demo.Greeter on an ephemeral port
+async function startServer() {
+  const def = protoLoader.loadSync(DEMO_PROTO, { keepCase: true, longs: String, enums: String, defaults: true, oneofs: true });
+  const server = new grpc.Server();
+  server.addService(grpc.loadPackageDefinition(def).demo.Greeter.service, {
+    SayHello(call, cb) {
+      cb(null, { message: `Hello, ${call.request.name}!` });
+    },
+  });
+  new ReflectionService(def).addToServer(server);
+  const port = await new Promise((resolve, reject) => {
+    server.bindAsync("127.0.0.1:0", grpc.ServerCredentials.createInsecure(), (err, p) => (err ? reject(err) : resolve(p)));
+  });
+  return { server, address: `127.0.0.1:${port}` };
+}
+
+// let the cached entries look old enough for a refresh
+function ageReflectionCache(env) {
+  for (const entry of env.reflected.values()) entry.at -= 60 * 60 * 1000;
+}
+
+function retireAll(env) {
+  for (const entry of env.reflected.values()) if (entry.env) entry.env.retire();
+}
+
+test("reflected envs", async (t) => {
+  const { server, address } = await startServer();
+  const credentials = grpc.credentials.createInsecure();
+  const env = new GrpcEnv([], [], {}, { reflection: true });
+  t.after(() => {
+    retireAll(env);
+    server.forceShutdown();
+  });
+
+  await t.test("discovers the upstream's services and calls them", async () => {
+    const reflected = await env.resolveEnv(address, "demo", "Greeter", "SayHello", credentials);
+    assert.notStrictEqual(reflected, env);
+    assert.deepStrictEqual(reflected.describeServices().map((s) => s.name), ["demo.Greeter"]);
+    const client = reflected.getClient(address, "demo", "Greeter", credentials);
+    const reply = await new Promise((resolve, reject) => {
+      client.SayHello({ name: "Ada" }, (err, res) => (err ? reject(err) : resolve(res)));
+    });
+    assert.strictEqual(reply.message, "Hello, Ada!");
+  });
+
+  await t.test("fails with the reflection error when no local proto knows the method", async () => {
+    await assert.rejects(
+      env.resolveEnv("127.0.0.1:1", "demo", "Greeter", "SayHello", credentials),
+      (err) => err.code === grpc.status.UNAVAILABLE && /Reflection failed for 127\.0\.0\.1:1/.test(err.details),
+    );
+  });
+
+  await t.test("caches per target, credentials and channel options", async () => {
+    const a = await env.getReflectedEnv(address, credentials);
+    const entries = env.reflected.size;
+    assert.strictEqual(await env.getReflectedEnv(address, credentials), a);
+    assert.strictEqual(env.reflected.size, entries);
+
+    const withOptions = await env.getReflectedEnv(address, credentials, false, { "grpc.max_receive_message_length": 1 << 20 });
+    assert.notStrictEqual(withOptions, a);
+    assert.strictEqual(env.reflected.size, entries + 1);
+
+    // another route's credentials fetch on their own (TLS against a plaintext server fails)
+    await assert.rejects(env.getReflectedEnv(address, grpc.credentials.createSsl()));
+    assert.strictEqual(env.reflected.size, entries + 2);
+    assert.strictEqual(await env.getReflectedEnv(address, credentials), a);
+  });
+
+  await t.test("a fresh copy is kept until it is old enough to refresh", async () => {
+    const a = await env.getReflectedEnv(address, credentials);
+    assert.strictEqual(await env.getReflectedEnv(address, credentials, true), a);
+    assert.strictEqual(a.retired, false);
+  });
+
+  await t.test("a refresh retires the superseded env once its calls end", async () => {
+    const old = await env.getReflectedEnv(address, credentials);
+    const client = old.getClient(address, "demo", "Greeter", credentials);
+    const release = old.acquire();
+    ageReflectionCache(env);
+    const next = await env.getReflectedEnv(address, credentials, true);
+    assert.notStrictEqual(next, old);
+    assert.strictEqual(old.retired, true);
+    assert.strictEqual(old.clientCache.size, 1, "clients stay open while a call is in flight");
+    release();
+    assert.strictEqual(old.clientCache.size, 0);
+    assert.strictEqual(grpc.connectivityState[client.getChannel().getConnectivityState(false)], "SHUTDOWN");
+    assert.strictEqual(next.retired, false);
+  });
+});
@@ -0,0 +1,28 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const protobuf = require("protobufjs");
+const grpc = require("@grpc/grpc-js");
+const { decodeRequest } = require("../src/grpc/serialization");
+
+const root = protobuf.parse('syntax = "proto3"; package t; message Req { string name = 1; bytes data = 2; }').root;
+const Req = root.lookupType("t.Req");
+
+test("decodeRequest", async (t) => {
+  for (const json of ["loader", "proto3"]) {
+    await t.test(`rejects payloads that are not objects (json=${json})`, () => {
+      for (const payload of ["hello", 42, true, ["a"], Buffer.from("x")]) {
+        assert.throws(
+          () => decodeRequest({ requestType: Req, json }, payload),
+          (err) => err.code === grpc.status.INVALID_ARGUMENT && /expected an object for t\.Req/.test(err.details),
+        );
+      }
+    });
+  }
+
+  await t.test("decodes objects and treats a missing payload as an empty message", () => {
+    assert.deepStrictEqual(decodeRequest({ requestType: Req, json: "loader" }, { name: "a", data: "eHg=" }), { name: "a", data: Buffer.from("xx") });
+    assert.deepStrictEqual(decodeRequest({ requestType: Req, json: "loader" }, undefined), {});
+  });
+});